@@ -355,33 +355,202 @@ class Collisions {
   }
 
   /**
+   * Area of the intersection of two convex paths, seen from above
+   *
+   * Zero when the paths are apart or only touch each other
    * @param {Path} firstPath
    * @param {Path} secondPath
    */
   static pathIntersection (firstPath, secondPath) {
+    const first = Collisions._counterclockwise(firstPath.vertices)
+    const second = Collisions._counterclockwise(secondPath.vertices)
+
+    // Separating axis theorem: two convex polygons are apart if and only if
+    // an edge of one of them has all the other polygon on its outer side
+    for (const [polygon, other] of [[first, second], [second, first]]) {
+      for (let i = 0; i < polygon.length; i++) {
+        const a = polygon[i]
+        const b = polygon[(i + 1) % polygon.length]
+        if (other.every(v => Collisions._side(a, b, v) <= EPSILON)) {
+          return 0
+        }
+      }
+    }
+
+    return Math.abs(Collisions._signedArea(Collisions.clip(first, second)))
+  }
+
+  /**
+   * Part of the convex polygon `subject` inside the convex polygon `clip`,
+   * both counterclockwise seen from above. Empty when they are apart
+   *
+   * Sutherland-Hodgman: the subject is clipped by every edge of `clip`
+   * @param {Vect[]} subject
+   * @param {Vect[]} clip
+   */
+  static clip (subject, clip) {
+    let clipped = subject
+    for (let i = 0; i < clip.length && clipped.length > 0; i++) {
+      const a = clip[i]
+      const b = clip[(i + 1) % clip.length]
+      const input = clipped
+      clipped = []
+      for (let j = 0; j < input.length; j++) {
+        const current = input[j]
+        const next = input[(j + 1) % input.length]
+        const currentSide = Collisions._side(a, b, current)
+        const nextSide = Collisions._side(a, b, next)
+        if (currentSide >= 0) {
+          clipped.push(current)
+        }
+        if ((currentSide >= 0) !== (nextSide >= 0)) {
+          clipped.push(current.add(next.substract(current).multiply(currentSide / (currentSide - nextSide))))
+        }
+      }
+    }
+    return clipped
+  }
+
+  /**
+   * Smallest convex polygon around `points`, counterclockwise seen from
+   * above (Andrew's monotone chain)
+   * @param {Vect[]} points
+   */
+  static convexHull (points) {
+    const sorted = points.map(v => v.cloneXY()).sort((u, v) => u.x - v.x || u.y - v.y)
+    /**
+     * @param {Vect[]} chain
+     */
+    const half = chain => {
+      const hull = []
+      for (const v of chain) {
+        while (hull.length >= 2 && Collisions._side(hull[hull.length - 2], hull[hull.length - 1], v) <= EPSILON) {
+          hull.pop()
+        }
+        hull.push(v)
+      }
+      hull.pop()
+      return hull
+    }
+    return half(sorted).concat(half(sorted.slice().reverse()))
+  }
+
+  /**
+   * Positive if `v` is on the left of the line going from `a` to `b`, seen from above
+   * @param {Vect} a
+   * @param {Vect} b
+   * @param {Vect} v
+   */
+  static _side (a, b, v) {
+    return (b.x - a.x) * (v.y - a.y) - (b.y - a.y) * (v.x - a.x)
+  }
+
+  /**
+   * Shoelace formula, seen from above
+   * @param {Vect[]} vertices
+   */
+  static _signedArea (vertices) {
+    let area = 0
+    for (let i = 0; i < vertices.length; i++) {
+      const u = vertices[i]
+      const v = vertices[(i + 1) % vertices.length]
+      area += u.x * v.y - v.x * u.y
+    }
+    return area / 2
+  }
 
+  /**
+   * Vertices projected on z=0, in counterclockwise order
+   * @param {Vect[]} vertices
+   */
+  static _counterclockwise (vertices) {
+    const flat = vertices.map(v => v.cloneXY())
+    return Collisions._signedArea(flat) < 0 ? flat.reverse() : flat
+  }
+}
+
+/**
+ * Seeded pseudo-random number generator (mulberry32)
+ */
+class Random {
+  /**
+   * @param {number} seed 32-bit unsigned integer
+   */
+  constructor (seed) {
+    this.state = seed >>> 0
+  }
+
+  /**
+   * Next number in [0, 1)
+   */
+  next () {
+    this.state = (this.state + 0x6d2b79f5) >>> 0
+    let t = this.state
+    t = Math.imul(t ^ t >>> 15, t | 1)
+    t ^= t + Math.imul(t ^ t >>> 7, t | 61)
+    return ((t ^ t >>> 14) >>> 0) / 4294967296
+  }
+
+  /**
+   * A brand new seed, for games that were not given one
+   */
+  static randomSeed () {
+    return Math.floor(Math.random() * 4294967296)
+  }
+
+  /**
+   * Turn a user-given string into a seed, null if there is nothing to parse
+   * @param {?string} s
+   */
+  static parseSeed (s) {
+    if (s === null || s.trim() === '') {
+      return null
+    }
+    s = s.trim()
+    if (/^\d+$/.test(s)) {
+      return Number(s) >>> 0
+    }
+    // Any other string is hashed (FNV-1a), so that words make valid seeds too
+    let h = 0x811c9dc5
+    for (let i = 0; i < s.length; i++) {
+      h = Math.imul(h ^ s.charCodeAt(i), 0x01000193)
+    }
+    return h >>> 0
   }
 }
 
 /**
- * (r, g, b) plus a few other things
+ * (r, g, b, a) plus a few other things
  */
 class Color {
   /**
    * @param {number} r
    * @param {number} g
    * @param {number} b
+   * @param {number} a Opacity, from 0 to 1
    */
-  constructor (r, g, b) {
+  constructor (r, g, b, a = 1) {
     this.r = Math.floor(r)
     this.g = Math.floor(g)
     this.b = Math.floor(b)
+    this.a = a
   }
 
   toString () {
+    if (this.a < 1) {
+      return `rgba(${this.r},${this.g},${this.b},${this.a})`
+    }
     return `rgb(${this.r},${this.g},${this.b})`
   }
 
+  /**
+   * Same color, another opacity
+   * @param {number} a
+   */
+  withAlpha (a) {
+    return new Color(this.r, this.g, this.b, a)
+  }
+
   /**
    * @param {Color} c1
    * @param {Color} c2
@@ -391,7 +560,8 @@ class Color {
     return new Color(
       (1 - t) * c1.r + t * c2.r,
       (1 - t) * c1.g + t * c2.g,
-      (1 - t) * c1.b + t * c2.b
+      (1 - t) * c1.b + t * c2.b,
+      (1 - t) * c1.a + t * c2.a
     )
   }
 
@@ -409,41 +579,214 @@ class Color {
   }
 
   /**
+   * #rgb, #rgba, #rrggbb or #rrggbbaa
    * @param {string} s
    */
   static fromHex (s) {
-    const m = s.match(/#([0-9a-f]{3}([0-9a-f]{3})?)/i)
+    const m = s.match(/#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})\b/i)
     if (m === null) {
       throw new Error('Incorrect hex color format')
     }
     let hex = m[1]
-    if (hex.length === 3) {
-      hex = hex[0] + hex[0] + hex[1] + hex[1] + hex[2] + hex[2]
+    if (hex.length <= 4) {
+      hex = hex.split('').map(c => c + c).join('')
+    }
+    if (hex.length === 6) {
+      hex += 'ff'
+    }
+    // Eight hex digits do not fit in a 32-bit signed integer
+    const rgb = parseInt(hex.slice(0, 6), 16)
+    return new Color(rgb >> 16, rgb >> 8 & 255, rgb & 255, parseInt(hex.slice(6), 16) / 255)
+  }
+
+  /**
+   * @param {number} h Hue, in degrees
+   * @param {number} s Saturation, from 0 to 1
+   * @param {number} l Lightness, from 0 to 1
+   * @param {number} a
+   */
+  static fromHsl (h, s, l, a = 1) {
+    h = ((h % 360) + 360) % 360
+    const c = (1 - Math.abs(2 * l - 1)) * s
+    const x = c * (1 - Math.abs((h / 60) % 2 - 1))
+    const m = l - c / 2
+    const [r, g, b] = [[c, x, 0], [x, c, 0], [0, c, x], [0, x, c], [x, 0, c], [c, 0, x]][Math.floor(h / 60)]
+    return new Color(Math.round((r + m) * 255), Math.round((g + m) * 255), Math.round((b + m) * 255), a)
+  }
+
+  /**
+   * Any of the hex, rgb(), rgba(), hsl() and hsla() CSS notations
+   * @param {string} s
+   */
+  static parse (s) {
+    s = s.trim()
+    if (s[0] === '#') {
+      return Color.fromHex(s)
     }
-    const bin = parseInt(hex, 16)
-    return new Color(bin >> 16, bin >> 8 & 255, bin & 255)
+    const m = s.match(/^(rgba?|hsla?)\(([^)]*)\)$/i)
+    if (m === null) {
+      throw new Error(`Incorrect color format: ${s}`)
+    }
+    const args = m[2].split(',').map(arg => arg.trim())
+    const alpha = args.length === 4 ? Number(args[3]) : 1
+    if ((args.length !== 3 && args.length !== 4) || !(alpha >= 0 && alpha <= 1)) {
+      throw new Error(`Incorrect color format: ${s}`)
+    }
+    if (m[1].toLowerCase().startsWith('rgb')) {
+      const [r, g, b] = args.slice(0, 3).map(Number)
+      if (![r, g, b].every(c => c >= 0 && c <= 255)) {
+        throw new Error(`Incorrect color format: ${s}`)
+      }
+      return new Color(r, g, b, alpha)
+    }
+    const h = Number(args[0].replace(/deg$/, ''))
+    const [saturation, lightness] = args.slice(1, 3).map(arg => arg.endsWith('%') ? Number(arg.slice(0, -1)) / 100 : NaN)
+    if (!isFinite(h) || ![saturation, lightness].every(c => c >= 0 && c <= 1)) {
+      throw new Error(`Incorrect color format: ${s}`)
+    }
+    return Color.fromHsl(h, saturation, lightness, alpha)
   }
 }
 
 /**
- * Some settings
+ * Colors of the renderer
+ *
+ * Themes are plain JSON, so that new ones are easy to write and share
  */
-// eslint-disable-next-line no-unused-vars
-class GameSettings {
+class Theme {
   /**
-   * @param {Window} window
-   * @param {HTMLCanvasElement} canvas
-   * @param {HTMLCanvasElement} offscreenCanvas
+   * @param {{ name: string; playerColors: string[]; groundColor: string; obstacleColor: string; powerUpColors: Object<string, string>; ghostColor: string; backgroundColor: string; lightColor: string; darkColor: string; textColor: string; mutedTextColor: string; }} json
    */
-  constructor (window, canvas, offscreenCanvas) {
-    this.window = window
-    this.canvasElement = canvas
-    this.canvasContext = canvas.getContext('2d', { alpha: false })
-    this.offscreenCanvasElement = offscreenCanvas
-    this.offscreenCanvasContext = offscreenCanvas.getContext('2d', { alpha: false })
+  constructor (json) {
+    if (json === null || typeof json !== 'object') {
+      throw new Error('A theme is a JSON object')
+    }
+    if (typeof json.name !== 'string' || !Array.isArray(json.playerColors) || json.playerColors.length === 0) {
+      throw new Error('A theme needs a name and some player colors')
+    }
+    for (const key of ['groundColor', 'obstacleColor', 'ghostColor', 'backgroundColor', 'lightColor', 'darkColor', 'textColor', 'mutedTextColor']) {
+      if (typeof json[key] !== 'string') {
+        throw new Error(`A theme needs a ${key}`)
+      }
+    }
+    // Speed power-ups take the player colors
+    for (const kind of PowerUpTile.KINDS.filter(kind => kind !== 'speed')) {
+      if (json.powerUpColors === null || typeof json.powerUpColors !== 'object' || typeof json.powerUpColors[kind] !== 'string') {
+        throw new Error(`A theme needs a color for ${kind} power-ups`)
+      }
+    }
+    if (!json.playerColors.every(color => typeof color === 'string')) {
+      throw new Error('Player colors are strings')
+    }
+    this.name = json.name
+    this.playerColors = json.playerColors.map(Color.parse)
+    this.groundColor = Color.parse(json.groundColor)
+    this.obstacleColor = Color.parse(json.obstacleColor)
+    /** @type {Object<string, Color>} */
+    this.powerUpColors = {}
+    for (const kind in json.powerUpColors) {
+      this.powerUpColors[kind] = Color.parse(json.powerUpColors[kind])
+    }
+    this.ghostColor = Color.parse(json.ghostColor)
+    this.backgroundColor = Color.parse(json.backgroundColor)
+    this.lightColor = Color.parse(json.lightColor)
+    this.darkColor = Color.parse(json.darkColor)
+    this.textColor = Color.parse(json.textColor)
+    this.mutedTextColor = Color.parse(json.mutedTextColor)
+  }
 
-    this.offscreenHeightRatio = 3
+  /**
+   * @param {RendererSettings} settings
+   */
+  applyTo (settings) {
+    settings.rendererTheme = this.name
+    settings.rendererPlayerColors = this.playerColors
+    settings.rendererGroundColor = this.groundColor
+    settings.rendererObstacleColor = this.obstacleColor
+    settings.rendererPowerUpColors = this.powerUpColors
+    settings.rendererGhostColor = this.ghostColor
+    settings.rendererBackgroundColor = this.backgroundColor
+    settings.rendererLightColor = this.lightColor
+    settings.rendererDarkColor = this.darkColor
+    settings.rendererTextColor = this.textColor
+    settings.rendererMutedTextColor = this.mutedTextColor
+  }
+}
+
+Theme.BUILT_IN = [
+  {
+    name: 'classic',
+    playerColors: ['#08d', '#5b5', '#dd3', '#e92', '#d21', '#b3b', '#dde'],
+    groundColor: '#333',
+    obstacleColor: '#777',
+    powerUpColors: { slowMotion: '#3cc', doubleJump: '#9e4', shield: '#aac', magnet: '#e4a' },
+    ghostColor: '#ccc',
+    backgroundColor: '#000',
+    lightColor: '#fff',
+    darkColor: '#000',
+    textColor: '#fff',
+    mutedTextColor: '#888'
+  },
+  {
+    name: 'neon',
+    playerColors: ['#0ff', '#0f6', '#ff0', '#f80', '#f0f', '#f36', '#fff'],
+    groundColor: 'hsl(265, 60%, 20%)',
+    obstacleColor: 'hsl(320, 70%, 40%)',
+    powerUpColors: { slowMotion: '#08f', doubleJump: '#af0', shield: '#fff', magnet: '#f0a' },
+    ghostColor: '#fff',
+    backgroundColor: 'hsl(250, 80%, 4%)',
+    lightColor: 'hsl(300, 100%, 80%)',
+    darkColor: 'hsl(240, 100%, 5%)',
+    textColor: '#0ff',
+    mutedTextColor: 'hsl(300, 60%, 55%)'
+  },
+  {
+    name: 'pastel',
+    playerColors: ['hsl(200, 70%, 75%)', 'hsl(130, 50%, 75%)', 'hsl(55, 80%, 78%)', 'hsl(30, 85%, 78%)', 'hsl(0, 70%, 80%)', 'hsl(290, 50%, 80%)', 'hsl(0, 0%, 95%)'],
+    groundColor: 'hsl(250, 15%, 45%)',
+    obstacleColor: 'hsl(250, 20%, 70%)',
+    powerUpColors: { slowMotion: 'hsl(180, 50%, 75%)', doubleJump: 'hsl(90, 50%, 75%)', shield: 'hsl(240, 30%, 88%)', magnet: 'hsl(330, 60%, 80%)' },
+    ghostColor: 'hsl(0, 0%, 95%)',
+    backgroundColor: 'hsl(250, 20%, 18%)',
+    lightColor: '#fff',
+    darkColor: 'hsl(250, 30%, 10%)',
+    textColor: 'hsl(40, 60%, 92%)',
+    mutedTextColor: 'hsl(250, 15%, 65%)'
+  },
+  {
+    name: 'light mode',
+    playerColors: ['#07c', '#393', '#cb0', '#e80', '#c10', '#a2a', '#445'],
+    groundColor: '#ccc',
+    obstacleColor: '#888',
+    powerUpColors: { slowMotion: '#199', doubleJump: '#6a2', shield: '#778', magnet: '#c38' },
+    ghostColor: '#556',
+    backgroundColor: '#f4f4f0',
+    lightColor: '#fff',
+    darkColor: '#222',
+    textColor: '#222',
+    mutedTextColor: '#777'
+  },
+  {
+    // Okabe and Ito's palette, told apart with any color vision
+    name: 'colorblind safe',
+    playerColors: ['#0072b2', '#009e73', '#f0e442', '#e69f00', '#d55e00', '#cc79a7', '#56b4e9'],
+    groundColor: '#3a3a3a',
+    obstacleColor: '#808080',
+    powerUpColors: { slowMotion: '#56b4e9', doubleJump: '#f0e442', shield: '#fff', magnet: '#cc79a7' },
+    ghostColor: '#fff',
+    backgroundColor: '#000',
+    lightColor: '#fff',
+    darkColor: '#000',
+    textColor: '#fff',
+    mutedTextColor: '#999'
+  }
+]
 
+/**
+ * Settings of the simulation, usable without any window
+ */
+class GameSettings {
+  constructor () {
     this.playerSize = 0.5
     this.playerInitialPosition = new Vect(1.5, 1.5, 0)
     this.playerAcceleration = new Vect(0, 0, -30)
@@ -454,9 +797,95 @@ class GameSettings {
     this.gameInitialVelocity = 1.0 * SQRT2
     this.gameAcceleration = 0.1 * SQRT2
     this.gameTimeBetweenPowerUps = 10
+    this.gamePowerUpRate = 0.01 // Away from the diagonal
+    this.gameSlowMotionDuration = 4
+    this.gameSlowMotionFactor = 0.5
+    this.gameDoubleJumpDuration = 10
+    this.gameShieldDuration = 15
+    this.gameMagnetDuration = 8
+    this.gameMagnetVelocity = 1.5
     this.gameDeathZone = 4 // 4 tiles offscreen
     this.gameWalkZone = 200
     this.gameWidth = 6
+    this.gameTimeStep = 1 / 120
+    this.gameCameraStopDuration = 0.5
+    this.gameMaximumHeight = 3 // Levels
+    this.gameFlatDistance = 30
+    this.gameCrumblingDelay = 0.5
+    this.gameCrumblingMaximumRate = 0.3
+    this.gameCrumblingDistance = 300 // Where the maximum rate is reached
+    this.gamePlatformRate = 0.1 // Of the holes
+    this.gamePlatformTravel = 2 // Tiles
+    this.gamePlatformPeriod = 4 // There and back
+    this.gameObstacleHeight = 1.25 // Above a level, below a jump
+    this.gameObstacleMaximumRate = 0.08
+    this.gameObstacleDistance = 200 // Where the maximum rate is reached
+    this.gamePlayersCollide = true // Or two players go through each other
+    // null means a new random seed for every game
+    this.gameSeed = null
+  }
+
+  /**
+   * The numbers and switches that change how a game plays, as stored along
+   * recordings
+   */
+  simulationValues () {
+    /** @type {Object<string, number|boolean>} */
+    const values = {}
+    for (const key of Object.keys(new GameSettings())) {
+      if (typeof this[key] === 'number' || typeof this[key] === 'boolean') {
+        values[key] = this[key]
+      }
+    }
+    return values
+  }
+
+  /**
+   * These settings, with some values replaced
+   * @param {Object<string, number|boolean>} values
+   * @returns {this}
+   */
+  withValues (values) {
+    return Object.assign(Object.create(this), values)
+  }
+}
+
+/**
+ * Settings of the game plus everything needed to draw it in a browser
+ */
+// eslint-disable-next-line no-unused-vars
+class RendererSettings extends GameSettings {
+  /**
+   * @param {Window} window
+   * @param {HTMLCanvasElement} canvas
+   * @param {HTMLCanvasElement} offscreenCanvas
+   * @param {?HTMLCanvasElement} worldCanvas Under `canvas`, for WebGL to draw the world on
+   */
+  constructor (window, canvas, offscreenCanvas, worldCanvas = null) {
+    super()
+
+    const params = new URLSearchParams(window.location.search)
+
+    this.window = window
+    // WebGL is only used when asked for with ?renderer=webgl, and available
+    this.worldCanvasElement = worldCanvas
+    this.worldContext = null
+    if (worldCanvas !== null && params.get('renderer') === 'webgl') {
+      this.worldContext = worldCanvas.getContext('webgl', { alpha: false })
+    }
+    this.canvasElement = canvas
+    // The interface is then drawn over the world
+    this.canvasContext = canvas.getContext('2d', { alpha: this.worldContext !== null })
+    this.offscreenCanvasElement = offscreenCanvas
+    this.offscreenCanvasContext = offscreenCanvas.getContext('2d', { alpha: false })
+
+    this.offscreenHeightRatio = 3
+
+    this.gameSeed = Random.parseSeed(params.get('seed'))
+    // URL of a level file to load
+    this.levelUrl = params.get('level')
+    // URL of a theme file to load, and switch to
+    this.themeUrl = params.get('theme')
 
     this.rendererProjectionMatrix = new Matrix(
       new Vect(SQRT3 / 2, -1 / 2, 0),
@@ -471,26 +900,59 @@ class GameSettings {
     this.rendererTilesOnScreen = 15
     this.rendererTileHeight = 2
     this.rendererLightDirection = new Vect(-1, -3, -4).normalize()
-    this.rendererPlayerColors = [
-      Color.fromHex('#08d'),
-      Color.fromHex('#5b5'),
-      Color.fromHex('#dd3'),
-      Color.fromHex('#e92'),
-      Color.fromHex('#d21'),
-      Color.fromHex('#b3b'),
-      Color.fromHex('#dde')
-    ]
-    this.rendererGroundColor = Color.fromHex('#333')
-    this.rendererBackgroundColor = Color.fromHex('#000')
-    this.rendererDarkColor = Color.fromHex('#000')
-    this.rendererLightColor = Color.fromHex('#fff')
+    this.rendererThemes = Theme.BUILT_IN.map(json => new Theme(json))
+    this.theme('classic')
     this.rendererBrightness = 0.2
     this.rendererMinimumTimeBetweenFrames = 0.015 // 60 Hz
+    this.rendererMaximumTimeBetweenFrames = 0.1
     this.rendererPowerUpAnimationDuration = 0.1
     this.rendererFallingAnimationDuration = 0.5
-    this.rendererMenuAnimationDuration = 3
+    this.rendererMenuAnimationDuration = 0.3
+    this.rendererCrumblingShake = 0.05 // Tiles
+    this.rendererShadowOpacity = 0.5
+    this.rendererShadowFadeHeight = 1.5 // About the top of a jump
+    this.rendererGhostOpacity = 0.35 // 0 hides the ghost
 
     this.inputIsTouchScreen = 'ontouchstart' in window
+    this.inputJoystickRadius = 60 // CSS pixels
+    this.inputJoystickDeadzone = 0.2 // Fraction of the radius
+    this.inputGamepadDeadzone = 0.25
+
+    this.highScoresSize = 10
+    this.highScoresGhosts = 3 // Recordings kept, of the best seeds
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Theme}
+   */
+  findTheme (name) {
+    return this.rendererThemes.find(theme => theme.name === name) || null
+  }
+
+  /**
+   * Make a theme available, in place of the one of the same name if any
+   * @param {Theme} theme
+   */
+  addTheme (theme) {
+    const i = this.rendererThemes.findIndex(other => other.name === theme.name)
+    if (i === -1) {
+      this.rendererThemes.push(theme)
+    } else {
+      this.rendererThemes[i] = theme
+    }
+  }
+
+  /**
+   * Switch to the theme called `name`
+   * @param {string} name
+   */
+  theme (name) {
+    const theme = this.findTheme(name)
+    if (theme === null) {
+      throw new Error(`Unknown theme: ${name}`)
+    }
+    theme.applyTo(this)
   }
 }
 
@@ -500,9 +962,11 @@ class GameSettings {
 class Player {
   /**
    * @param {GameSettings} settings
+   * @param {GameInputs} inputs What steers it
    */
-  constructor (settings) {
+  constructor (settings, inputs = new GameInputs()) {
     this.settings = settings
+    this.inputs = inputs
 
     // Dimenstions
     this.side = settings.playerSize
@@ -523,6 +987,12 @@ class Player {
     this.levelSince = 0
     this._updateStats()
 
+    // Power-ups that wear off, by kind: when they do
+    /** @type {Object<string, number>} */
+    this.effects = {}
+    this.lastPowerUpAt = -Infinity
+    this.doubleJumped = false
+
     this.jumpVelocity = settings.playerJumpVelocity
 
     // State
@@ -534,6 +1004,20 @@ class Player {
 
     this.inAir = false
     this.inAirSince = 0
+    // Height of the jump or of the fall
+    this.inAirFrom = 0
+
+    this.jumpQueued = false
+    // A second jump needs the key released in between
+    this.jumpHeld = false
+    // Where it stood last, for shields to bring it back
+    /** @type {?Tile} */
+    this.lastSupport = null
+
+    this.score = 0
+    // Fallen or left behind, the others may still be playing
+    this.out = false
+    this.outAt = 0
   }
 
   /**
@@ -542,6 +1026,7 @@ class Player {
   setInAir (t) {
     this.inAir = true
     this.inAirSince = t
+    this.inAirFrom = this.position.z
   }
 
   /**
@@ -555,10 +1040,25 @@ class Player {
   land () {
     this.inAir = false
     this.velocity = Vect.ZERO
+    this.doubleJumped = false
+  }
+
+  /**
+   * Put the player down somewhere, out of any motion
+   * @param {Vect} position
+   */
+  placeAt (position) {
+    this.position = position
+    this.land()
+    this.inRotation = false
+    this.rotation = 0
   }
 
-  resetAltitude () {
-    this.position = this.position.cloneXY()
+  /**
+   * @param {number} z Height of the ground landed on
+   */
+  resetAltitude (z) {
+    this.position = new Vect(this.position.x, this.position.y, z)
   }
 
   /**
@@ -566,7 +1066,20 @@ class Player {
    */
   updateAltitude (t) {
     const airTime = t - this.inAirSince
-    this.position = new Vect(this.position.x, this.position.y, airTime * airTime * this.acceleration.z / 2 + airTime * this.velocity.z)
+    this.position = new Vect(this.position.x, this.position.y, this.inAirFrom + airTime * airTime * this.acceleration.z / 2 + airTime * this.velocity.z)
+  }
+
+  /**
+   * Time left, from `t`, before coming down to the height `z`
+   * @param {number} z No higher than the current height
+   * @param {number} t
+   */
+  timeToFallTo (z, t) {
+    const a = this.acceleration.z
+    const v = this.velocity.z
+    // The later root of inAirFrom + v * airTime + a / 2 * airTime ** 2 = z
+    const airTime = (-v - Math.sqrt(Math.max(v * v - 2 * a * (this.inAirFrom - z), 0))) / a
+    return airTime - (t - this.inAirSince)
   }
 
   /**
@@ -609,11 +1122,44 @@ class Player {
 
   /**
    * @param {number} t
+   * @param {string} kind
    */
-  eatPowerUp (t) {
-    this.level++
-    this.levelSince = t
-    this._updateStats()
+  eatPowerUp (t, kind = 'speed') {
+    this.lastPowerUpAt = t
+    if (kind === 'speed') {
+      this.level++
+      this.levelSince = t
+      this._updateStats()
+    } else {
+      this.effects[kind] = t + this._effectDuration(kind)
+    }
+  }
+
+  /**
+   * @param {string} kind
+   */
+  _effectDuration (kind) {
+    return {
+      slowMotion: this.settings.gameSlowMotionDuration,
+      doubleJump: this.settings.gameDoubleJumpDuration,
+      shield: this.settings.gameShieldDuration,
+      magnet: this.settings.gameMagnetDuration
+    }[kind]
+  }
+
+  /**
+   * @param {string} kind
+   * @param {number} t
+   */
+  hasEffect (kind, t) {
+    return kind in this.effects && t < this.effects[kind]
+  }
+
+  /**
+   * @param {string} kind
+   */
+  endEffect (kind) {
+    delete this.effects[kind]
   }
 
   /**
@@ -659,1043 +1205,4301 @@ class GameCell {
     this.x = x
     this.y = y
   }
+
+  getCollisionPath () {
+    return new Path([
+      new Vect(this.x, this.y, 0),
+      new Vect(this.x + 1, this.y, 0),
+      new Vect(this.x + 1, this.y + 1, 0),
+      new Vect(this.x, this.y + 1, 0)
+    ])
+  }
 }
 
 /**
  * Something to walk on
+ *
+ * Heights are whole levels, a level being one unit high: twice the cube,
+ * less than a jump
  */
-class Tile extends GameCell { }
+class Tile extends GameCell {
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @param {number} height
+   */
+  constructor (x, y, height = 0) {
+    super(x, y)
+    this.height = height
+  }
+
+  /**
+   * Height of what stands on the tile, where the player walks
+   */
+  top () {
+    return this.height
+  }
+}
 
 /**
  * A better thing to walk on
+ *
+ * Speed power-ups raise the level for good, the other kinds last a while
  */
 class PowerUpTile extends Tile {
   /**
    * @param {number} x
    * @param {number} y
+   * @param {number} height
+   * @param {string} kind One of `PowerUpTile.KINDS`
    */
-  constructor (x, y) {
-    super(x, y)
+  constructor (x, y, height = 0, kind = 'speed') {
+    super(x, y, height)
+    this.kind = kind
     this.consumed = false
     this.consumedSince = 0
   }
 }
 
+PowerUpTile.KINDS = ['speed', 'slowMotion', 'doubleJump', 'shield', 'magnet']
+
 /**
- * Generates tiles and powerups on a 2d plane
+ * A tile with a block on it, too high to roll onto but low enough to jump
+ * over
  */
-class WorldGenerator {
+class ObstacleTile extends Tile {
   /**
-   * @param {GameSettings} settings
+   * @param {number} x
+   * @param {number} y
+   * @param {number} height
+   * @param {number} blockHeight
    */
-  constructor (settings) {
-    this.settings = settings
-    this.seed = Math.random()
+  constructor (x, y, height, blockHeight) {
+    super(x, y, height)
+    this.blockHeight = blockHeight
   }
 
+  top () {
+    return this.height + this.blockHeight
+  }
+}
+
+/**
+ * Reaching it completes a level
+ */
+class FinishTile extends Tile { }
+
+/**
+ * Something to walk on, but not for long
+ */
+class CrumblingTile extends Tile {
   /**
    * @param {number} x
    * @param {number} y
+   * @param {number} height
    */
-  isTile (x, y) {
-    if (Math.abs(x - y) >= this.settings.gameWidth) {
-      return false
-    }
-    const z = ((1 + this.seed) * Math.cos(7 * x) + Math.sin(6 * x - y) + Math.cos(this.seed * 19 * y) + (2 - this.seed) * Math.sin(2 * x + 5 * y)) / 5 - (y - x) ** 2 / 25 + Math.exp(-(x + y) / this.settings.gameWalkZone)
-    return z >= 0
+  constructor (x, y, height = 0) {
+    super(x, y, height)
+    // Set once stepped on
+    this.fallsAt = null
   }
 
   /**
-   * @param {number} x
-   * @param {number} y
+   * @param {number} t
+   * @param {number} delay Before it drops away
    */
-  isPowerUp (x, y) {
-    const a = this.settings.gameAcceleration
-    const v0 = this.settings.gameInitialVelocity
-    const t0 = this.settings.gameTimeBetweenPowerUps
-
-    /** @param {number} x */
-    const n = x => (-v0 + (v0 * v0 + 2 * a * x) ** 0.5) / (a * t0)
-
-    return x === y && x >= 1 && Math.floor(n(x * SQRT2)) > Math.floor(n((x - 1) * SQRT2))
+  stepOn (t, delay) {
+    if (this.fallsAt === null) {
+      this.fallsAt = t + delay
+    }
   }
-}
 
-class GameInputs {
-  constructor () {
-    this.direction = Vect.ZERO
-    this.jump = false
+  /**
+   * Whether it is gone, leaving a hole
+   * @param {number} t
+   */
+  hasFallen (t) {
+    return this.fallsAt !== null && t >= this.fallsAt
   }
 }
 
 /**
- * An instance of the game
+ * Something to walk on, sliding back and forth over the holes
+ *
+ * It is not a cell of the grid: `x` and `y` follow it as it moves
  */
-class Game {
+class MovingTile extends Tile {
   /**
-   * @param {GameSettings} settings
-   * @param {GameInputs} inputs
+   * @param {number} x Where it starts from
+   * @param {number} y
+   * @param {number} height
+   * @param {Vect} direction Unit vector along which it slides
+   * @param {number} travel Length of the slide
+   * @param {number} period Duration of a slide there and back
+   * @param {number} phase Between 0 and 1, how far in the period it is at t = 0
+   */
+  constructor (x, y, height, direction, travel, period, phase) {
+    super(x, y, height)
+    this.from = new Vect(x, y, 0)
+    this.direction = direction
+    this.travel = travel
+    this.period = period
+    this.phase = phase
+  }
+
+  /**
+   * @param {number} t
+   */
+  positionAt (t) {
+    const progress = (1 - Math.cos(2 * PI * (t / this.period + this.phase))) / 2
+    return this.from.add(this.direction.multiply(this.travel * progress))
+  }
+
+  /**
+   * @param {number} t
+   */
+  moveTo (t) {
+    const position = this.positionAt(t)
+    this.x = position.x
+    this.y = position.y
+  }
+}
+
+/**
+ * Generates tiles and powerups on a 2d plane
+ */
+class WorldGenerator {
+  /**
+   * @param {GameSettings} settings
+   * @param {number} seed
    */
-  constructor (settings, inputs) {
+  constructor (settings, seed) {
     this.settings = settings
+    this.seed = seed
+    this.random = new Random(seed)
 
-    // In game time
-    this.t = 0
-    this.score = 0
-    this.gameOver = false
-    this.gameOverAt = 0
+    // Parameters of the terrain formula, always drawn in the same order
+    this.noise = this.random.next()
+    this.relief = this.random.next()
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   */
+  isTile (x, y) {
+    if (Math.abs(x - y) >= this.settings.gameWidth) {
+      return false
+    }
+    const z = ((1 + this.noise) * Math.cos(7 * x) + Math.sin(6 * x - y) + Math.cos(this.noise * 19 * y) + (2 - this.noise) * Math.sin(2 * x + 5 * y)) / 5 - (y - x) ** 2 / 25 + Math.exp(-(x + y) / this.settings.gameWalkZone)
+    return z >= 0
+  }
 
-    this.tiles = { 1: { 1: new Tile(1, 1) } }
-    this.generator = new WorldGenerator(settings)
-    this.player = new Player(settings)
+  /**
+   * @param {number} x
+   * @param {number} y
+   */
+  isPowerUp (x, y) {
+    const a = this.settings.gameAcceleration
+    const v0 = this.settings.gameInitialVelocity
+    const t0 = this.settings.gameTimeBetweenPowerUps
 
-    // The world is generated between these two boundaries
-    this.viewportStart = 0
-    this.viewportEnd = 0
-    this.cameraPosition = settings.gameInitialPosition
-    this.generateWorld(0, settings.rendererTilesOnScreen)
+    // Power-up periods gone by when the camera reaches x, which goes at a
+    // constant speed without acceleration
+    /** @param {number} x */
+    const n = x => a === 0 ? x / (v0 * t0) : (-v0 + (v0 * v0 + 2 * a * x) ** 0.5) / (a * t0)
 
-    this.inputs = inputs
-    this.jumpQueued = false
+    if (x !== y) {
+      return this.isTile(x, y) && this._cellNoise(x, y, 6) < this.settings.gamePowerUpRate
+    }
+    return x >= 1 && Math.floor(n(x * SQRT2)) > Math.floor(n((x - 1) * SQRT2))
   }
 
   /**
-   * Generate and store tiles
-   * @param {number} start
-   * @param {number} end
+   * Those on the diagonal keep the pace of the game, the others do the rest
+   * @param {number} x
+   * @param {number} y
    */
-  generateWorld (start, end) {
-    start = Math.max(0, start)
-    if (start > this.viewportStart) {
-      for (let i = this.viewportStart; i < start; i++) {
-        delete this.tiles[i]
+  powerUpKind (x, y) {
+    if (x === y) {
+      return 'speed'
+    }
+    const kinds = PowerUpTile.KINDS.filter(kind => kind !== 'speed')
+    return kinds[Math.floor(this._cellNoise(x, y, 7) * kinds.length)]
+  }
+
+  /**
+   * Level of the tile at (x, y): plateaus, one level apart from each other
+   * so that they can always be climbed. The ground is flat at first
+   * @param {number} x
+   * @param {number} y
+   */
+  height (x, y) {
+    const distance = (x + y) / SQRT2
+    const flat = this.settings.gameFlatDistance
+    const ramp = Math.min(Math.max((distance - flat) / flat, 0), 1)
+    // Slow enough for neighbors never to be two levels apart
+    const relief = (1 + Math.sin((x + y) * 0.07 + 6 * this.relief) * Math.cos((x - y) * 0.3 + 4 * this.relief)) / 2
+    return Math.floor(this.settings.gameMaximumHeight * ramp * relief)
+  }
+
+  /**
+   * More and more tiles crumble as the distance grows
+   * @param {number} x
+   * @param {number} y
+   */
+  isCrumbling (x, y) {
+    const distance = (x + y) / SQRT2
+    const rate = this.settings.gameCrumblingMaximumRate * Math.min(distance / this.settings.gameCrumblingDistance, 1)
+    return this._cellNoise(x, y, 1) < rate
+  }
+
+  /**
+   * Endless worlds have no finish line
+   * @param {number} x
+   * @param {number} y
+   */
+  isFinish (x, y) {
+    return false
+  }
+
+  /**
+   * More and more tiles are blocked as the distance grows
+   * @param {number} x
+   * @param {number} y
+   */
+  isObstacle (x, y) {
+    const distance = (x + y) / SQRT2
+    const rate = this.settings.gameObstacleMaximumRate * Math.min(distance / this.settings.gameObstacleDistance, 1)
+    return this._cellNoise(x, y, 5) < rate
+  }
+
+  /**
+   * Some holes have a platform, once the ground is no longer flat
+   * @param {number} x
+   * @param {number} y
+   */
+  isPlatform (x, y) {
+    const distance = (x + y) / SQRT2
+    return distance >= this.settings.gameFlatDistance && this._cellNoise(x, y, 2) < this.settings.gamePlatformRate &&
+      this._platformSlides(x, y).length > 0
+  }
+
+  /**
+   * The platform of the hole at (x, y)
+   * @param {number} x
+   * @param {number} y
+   */
+  platform (x, y) {
+    const slides = this._platformSlides(x, y)
+    const { direction, travel } = slides[Math.floor(this._cellNoise(x, y, 3) * slides.length)]
+    return new MovingTile(x, y, this.height(x, y), direction, travel, this.settings.gamePlatformPeriod, this._cellNoise(x, y, 4))
+  }
+
+  /**
+   * Where the platform of the hole at (x, y) can slide: along either axis,
+   * as far as there are holes, up to gamePlatformTravel
+   * @param {number} x
+   * @param {number} y
+   * @returns {{ direction: Vect; travel: number; }[]}
+   */
+  _platformSlides (x, y) {
+    const slides = []
+    for (const direction of [new Vect(1, 0, 0), new Vect(0, 1, 0)]) {
+      let travel = this.settings.gamePlatformTravel
+      for (let i = 1; i <= Math.ceil(this.settings.gamePlatformTravel); i++) {
+        if (!this._isHole(x + i * direction.x, y + i * direction.y)) {
+          travel = Math.min(travel, i - 1)
+          break
+        }
+      }
+      if (travel > 0) {
+        slides.push({ direction, travel })
       }
     }
-    if (end > this.viewportEnd) {
-      for (let y = start; y <= end; y++) {
-        if (!(y in this.tiles)) {
-          this.tiles[y] = {}
+    return slides
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   */
+  _isHole (x, y) {
+    return !this.isFinish(x, y) && !this.isPowerUp(x, y) && !this.isTile(x, y)
+  }
+
+  /**
+   * A number between 0 and 1 for each cell, whatever the order cells are
+   * generated in
+   * @param {number} x
+   * @param {number} y
+   * @param {number} salt Different for every use
+   */
+  _cellNoise (x, y, salt) {
+    let h = Math.imul(this.seed ^ Math.imul(salt, 0x27d4eb2f), 0x9e3779b1) ^ Math.imul(x, 0x85ebca6b) ^ Math.imul(y, 0xc2b2ae35)
+    h = Math.imul(h ^ (h >>> 16), 0x7feb352d)
+    h = Math.imul(h ^ (h >>> 15), 0x846ca68b)
+    return ((h ^ (h >>> 16)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * A hand-made world, read from an ASCII map where each character is a cell:
+ * x goes along the rows, y down the columns
+ *
+ *     (space) hole            .  tile            1-9  tile that many levels up
+ *     @  start                F  finish line     ~    crumbling tile
+ *     #  obstacle             *  speed power-up
+ *     s, j, h, m  slow motion, double jump, shield and magnet power-ups
+ *     =, |  platforms sliding along x, along y
+ *
+ * Cells farther than `gameWidth` from the y=x axis are holes whatever
+ * the map says. Level files are either the map alone, or JSON like
+ * `{ "name": "...", "map": ["row", "row", ...] }`
+ */
+class Level {
+  /**
+   * @param {string} name
+   * @param {string[]} rows
+   * @param {?Vect} start Where to start instead of the @ of the map
+   */
+  constructor (name, rows, start = null) {
+    this.name = name
+    this.rows = rows.map(row => row.replace(/\r$/, ''))
+
+    const starts = []
+    this.rows.forEach((row, y) => {
+      for (let x = 0; x < row.length; x++) {
+        if (!(row[x] in Level.LEGEND)) {
+          throw new Error(`Unknown cell '${row[x]}' at ${x}, ${y}`)
         }
-        for (let x = start; x <= end; x++) {
-          if ((x < this.viewportEnd && y < this.viewportEnd) || x in this.tiles[y]) {
-            continue
-          }
-          if (this.generator.isPowerUp(x, y)) {
-            this.tiles[y][x] = new PowerUpTile(x, y)
-          } else if (this.generator.isTile(x, y)) {
-            this.tiles[y][x] = new Tile(x, y)
-          } else {
-            this.tiles[y][x] = new GameCell(x, y)
-          }
+        if (row[x] === '@') {
+          starts.push(new Vect(x + 0.5, y + 0.5, 0))
         }
       }
+    })
+    if (starts.length !== 1) {
+      throw new Error('A level needs one start, and only one')
+    }
+    this.start = start === null ? starts[0] : start
+  }
+
+  /**
+   * What a level file holds
+   */
+  toJSON () {
+    return { name: this.name, map: this.rows }
+  }
+
+  /**
+   * @param {string} text Contents of a level file
+   */
+  static parse (text) {
+    let json = null
+    try {
+      json = JSON.parse(text)
+    } catch (e) {
+      // Then it is the map alone
+    }
+    if (json === null || typeof json !== 'object') {
+      return new Level('Custom level', text.split('\n'))
+    }
+    const rows = typeof json.map === 'string' ? json.map.split('\n') : json.map
+    if (!Array.isArray(rows) || !rows.every(row => typeof row === 'string')) {
+      throw new Error('A level needs a map, as a list of rows')
+    }
+    return new Level(typeof json.name === 'string' ? json.name : 'Custom level', rows)
+  }
+
+  /**
+   * What the map says about (x, y), holes all around it
+   * @param {number} x
+   * @param {number} y
+   */
+  cell (x, y) {
+    const row = this.rows[y]
+    return row === undefined || row[x] === undefined ? ' ' : row[x]
+  }
+}
+
+// What each character of a map stands for
+Level.LEGEND = {
+  ' ': 'hole',
+  '.': 'tile',
+  '@': 'start',
+  F: 'finish',
+  '~': 'crumbling',
+  '#': 'obstacle',
+  '*': 'speed',
+  s: 'slowMotion',
+  j: 'doubleJump',
+  h: 'shield',
+  m: 'magnet',
+  '=': 'platformX',
+  '|': 'platformY',
+  1: 'tile',
+  2: 'tile',
+  3: 'tile',
+  4: 'tile',
+  5: 'tile',
+  6: 'tile',
+  7: 'tile',
+  8: 'tile',
+  9: 'tile'
+}
+
+/**
+ * Stands in for the `WorldGenerator`, telling what the cells of a `Level` are
+ */
+class LevelGenerator {
+  /**
+   * @param {GameSettings} settings
+   * @param {Level} level
+   */
+  constructor (settings, level) {
+    this.settings = settings
+    this.level = level
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   */
+  _kind (x, y) {
+    return Level.LEGEND[this.level.cell(x, y)]
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   */
+  isTile (x, y) {
+    return ['hole', 'platformX', 'platformY'].indexOf(this._kind(x, y)) === -1
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   */
+  isPowerUp (x, y) {
+    return PowerUpTile.KINDS.indexOf(this._kind(x, y)) !== -1
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   */
+  powerUpKind (x, y) {
+    return this._kind(x, y)
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   */
+  height (x, y) {
+    const cell = this.level.cell(x, y)
+    return cell >= '1' && cell <= '9' ? Number(cell) : 0
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   */
+  isFinish (x, y) {
+    return this._kind(x, y) === 'finish'
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   */
+  isObstacle (x, y) {
+    return this._kind(x, y) === 'obstacle'
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   */
+  isCrumbling (x, y) {
+    return this._kind(x, y) === 'crumbling'
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   */
+  isPlatform (x, y) {
+    return this._kind(x, y) === 'platformX' || this._kind(x, y) === 'platformY'
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   */
+  platform (x, y) {
+    const direction = this._kind(x, y) === 'platformX' ? new Vect(1, 0, 0) : new Vect(0, 1, 0)
+    return new MovingTile(x, y, 0, direction, this.settings.gamePlatformTravel, this.settings.gamePlatformPeriod, 0)
+  }
+}
+
+class GameInputs {
+  constructor () {
+    this.direction = Vect.ZERO
+    this.jump = false
+  }
+
+  /**
+   * Turn a direction on the screen (x to the right, y to the bottom) into a
+   * direction in the game world, the same way W, A, S and D map to it
+   * @param {number} x
+   * @param {number} y
+   */
+  static directionFromScreen (x, y) {
+    // Screen right is (1, -1) and screen up is (1, 1)
+    const direction = new Vect(1, -1, 0).multiply(x).add(new Vect(-1, -1, 0).multiply(y))
+    return direction.lengthSquared() > 0 ? direction.normalize() : Vect.ZERO
+  }
+}
+
+/**
+ * Every change of the inputs of a game, along with the in-game time it happened at
+ */
+class InputRecording {
+  /**
+   * @param {number} seed
+   * @param {Object<string, number|boolean>} settings Simulation values of the game
+   */
+  constructor (seed, settings) {
+    this.seed = seed
+    this.settings = settings
+    /** @type {{ t: number; x: number; y: number; jump: boolean; }[]} */
+    this.entries = []
+  }
+
+  /**
+   * Store `inputs` if they changed since the last entry
+   * @param {number} t
+   * @param {GameInputs} inputs
+   */
+  record (t, inputs) {
+    const last = this.entries[this.entries.length - 1]
+    const d = inputs.direction
+    if (last === undefined || last.x !== d.x || last.y !== d.y || last.jump !== inputs.jump) {
+      this.entries.push({ t, x: d.x, y: d.y, jump: inputs.jump })
+    }
+  }
+
+  toJSON () {
+    return { seed: this.seed, settings: this.settings, entries: this.entries }
+  }
+
+  /**
+   * @param {{ seed: number; settings: Object<string, number|boolean>; entries: { t: number; x: number; y: number; jump: boolean; }[]; }} json
+   */
+  static fromJSON (json) {
+    const recording = new InputRecording(json.seed, json.settings || {})
+    recording.entries = json.entries.map(({ t, x, y, jump }) => ({ t, x, y, jump }))
+    return recording
+  }
+}
+
+/**
+ * Feeds the inputs of a recording back into a game
+ */
+class Replay {
+  /**
+   * @param {InputRecording} recording
+   * @param {GameInputs} inputs The inputs of the game being replayed
+   */
+  constructor (recording, inputs) {
+    this.recording = recording
+    this.inputs = inputs
+    this.next = 0
+  }
+
+  /**
+   * Apply every entry recorded up to `t`
+   * @param {number} t
+   */
+  feed (t) {
+    const entries = this.recording.entries
+    while (this.next < entries.length && entries[this.next].t <= t) {
+      const entry = entries[this.next++]
+      this.inputs.direction = new Vect(entry.x, entry.y, 0)
+      this.inputs.jump = entry.jump
+    }
+  }
+}
+
+/**
+ * A past run on the same world, played again from its recording next to a game
+ */
+class Ghost {
+  /**
+   * @param {GameSettings} settings
+   * @param {InputRecording} recording
+   */
+  constructor (settings, recording) {
+    const inputs = new GameInputs()
+    this.replay = new Replay(recording, inputs)
+    // With the settings it was recorded with, like a replay
+    this.game = new Game(settings.withValues(recording.settings), inputs, recording.seed)
+  }
+
+  /**
+   * Catch up with the game it runs next to, in game time, so that slow
+   * motion on either side keeps them in step
+   * @param {number} t
+   */
+  follow (t) {
+    while (this.game.t < t) {
+      this.game.advance(this.game.settings.gameTimeStep, t => this.replay.feed(t))
+    }
+  }
+}
+
+/**
+ * An instance of the game
+ */
+class Game {
+  /**
+   * @param {GameSettings} settings
+   * @param {GameInputs} inputs
+   * @param {?number} seed Same seed, same world
+   * @param {?Level} level A hand-made world instead of a generated one
+   * @param {?GameInputs} secondInputs Those of a second player, on the same screen
+   */
+  constructor (settings, inputs, seed = settings.gameSeed, level = null, secondInputs = null) {
+    // Changing the settings during a game does not change the game
+    this.settings = settings.withValues(settings.simulationValues())
+    this.seed = seed === null ? Random.randomSeed() : seed
+
+    // In game time
+    this.t = 0
+    this.score = 0
+    this.gameOver = false
+    this.gameOverAt = 0
+    // Levels end on the finish line, which makes the game over too
+    this.level = level
+    this.levelComplete = false
+
+    // Generated worlds always have a tile to start from
+    this.tiles = level === null ? { 1: { 1: new Tile(1, 1) } } : {}
+    // When the last tile stepped on falls
+    this.crumblingUntil = -Infinity
+    /** @type {MovingTile[]} */
+    this.platforms = []
+    this.generator = level === null ? new WorldGenerator(settings, this.seed) : new LevelGenerator(settings, level)
+    this.inputs = inputs
+    this.player = new Player(settings, inputs)
+    this.start = level === null ? settings.playerInitialPosition : level.start
+    this.player.position = this.start
+    /** @type {Player[]} */
+    this.players = [this.player]
+    if (secondInputs !== null) {
+      const second = new Player(settings, secondInputs)
+      second.position = this._secondStart()
+      this.players.push(second)
+    }
+
+    // The world is generated between these two boundaries
+    this.viewportStart = 0
+    this.viewportEnd = 0
+    // The camera starts as far behind the player as usual
+    this.cameraStart = settings.gameInitialPosition + new Vect(SQRT2 / 2, SQRT2 / 2, 0).dot(this.start.substract(settings.playerInitialPosition))
+    this.cameraPosition = this.cameraStart
+    this.extendWorld()
+
+    // Time not simulated yet, less than a step
+    this.pendingTime = 0
+    this.recording = new InputRecording(this.seed, this.settings.simulationValues())
+    // The best run on this world, if it runs alongside
+    /** @type {?Ghost} */
+    this.ghost = null
+  }
+
+  /**
+   * Next to the start, on its right if there is a tile there, or on its left,
+   * or on the start itself
+   */
+  _secondStart () {
+    for (const offset of [new Vect(1, -1, 0), new Vect(-1, 1, 0)]) {
+      const x = Math.floor(this.start.x + offset.x)
+      const y = Math.floor(this.start.y + offset.y)
+      if (this.generator.isTile(x, y) && !this.generator.isObstacle(x, y) && this.generator.height(x, y) === this.start.z) {
+        return this.start.add(offset)
+      }
+    }
+    return this.start
+  }
+
+  /**
+   * Generate and store tiles
+   *
+   * Rows the player may still reach are never dropped, whatever `start` is
+   * @param {number} start
+   * @param {number} end
+   */
+  generateWorld (start, end) {
+    start = Math.max(0, Math.min(start, this._lowestReachableRow()))
+    for (let i = this.viewportStart; i < start; i++) {
+      delete this.tiles[i]
+    }
+    this.platforms = this.platforms.filter(platform => platform.from.y >= start)
+    // There is nothing but holes farther than gameWidth from the y=x axis
+    const width = this.settings.gameWidth
+    for (let y = start; y <= end; y++) {
+      if (!(y in this.tiles)) {
+        this.tiles[y] = {}
+      }
+      for (let x = Math.max(start, y - width + 1); x <= Math.min(end, y + width - 1); x++) {
+        if (x in this.tiles[y]) {
+          continue
+        }
+        const height = this.generator.height(x, y)
+        if (this.generator.isFinish(x, y)) {
+          this.tiles[y][x] = new FinishTile(x, y, height)
+        } else if (this.generator.isPowerUp(x, y)) {
+          this.tiles[y][x] = new PowerUpTile(x, y, height, this.generator.powerUpKind(x, y))
+        } else if (this.generator.isTile(x, y)) {
+          if (this.generator.isObstacle(x, y)) {
+            this.tiles[y][x] = new ObstacleTile(x, y, height, this.settings.gameObstacleHeight)
+          } else {
+            this.tiles[y][x] = this.generator.isCrumbling(x, y) ? new CrumblingTile(x, y, height) : new Tile(x, y, height)
+          }
+        } else {
+          this.tiles[y][x] = new GameCell(x, y)
+          if (this.generator.isPlatform(x, y)) {
+            const platform = this.generator.platform(x, y)
+            platform.moveTo(this.t)
+            this.platforms.push(platform)
+          }
+        }
+      }
+    }
+    this.viewportStart = start
+    this.viewportEnd = end
+    return this.tiles
+  }
+
+  /**
+   * Make sure the world exists around the players, even when nothing draws it
+   */
+  extendWorld () {
+    const end = Math.max(...this.players.map(p => Math.ceil(Math.max(p.position.x, p.position.y)))) + 2
+    if (end > this.viewportEnd) {
+      this.generateWorld(this._lowestReachableRow(), end)
+    }
+  }
+
+  /**
+   * Rows below this one are out of the death zone, hence out of the screen too
+   */
+  _lowestReachableRow () {
+    const distance = this.cameraPosition - this.settings.gameDeathZone
+    return Math.floor((distance * SQRT2 - this.settings.gameWidth) / 2) - 1
+  }
+
+  /**
+   * Tiles under a footprint, whatever their height
+   * @param {Path} path
+   * @returns {Tile[]}
+   */
+  _tilesUnder (path) {
+    const xs = path.vertices.map(v => Math.floor(v.x))
+    const ys = path.vertices.map(v => Math.floor(v.y))
+
+    const theseTiles = []
+
+    // Only the tiles the footprint actually overlaps count
+    for (let y = Math.min(...ys); y <= Math.max(...ys); y++) {
+      for (let x = Math.min(...xs); x <= Math.max(...xs); x++) {
+        if (y in this.tiles && x in this.tiles[y] && this.tiles[y][x] instanceof Tile) {
+          const tile = this.tiles[y][x]
+          if (tile instanceof CrumblingTile && tile.hasFallen(this.t)) {
+            continue
+          }
+          if (Collisions.pathIntersection(path, tile.getCollisionPath()) > EPSILON) {
+            theseTiles.push(tile)
+          }
+        }
+      }
+    }
+    for (const platform of this.platforms) {
+      if (Collisions.pathIntersection(path, platform.getCollisionPath()) > EPSILON) {
+        theseTiles.push(platform)
+      }
+    }
+
+    return theseTiles
+  }
+
+  /**
+   * Return a list of the tiles the player is stepping on
+   * Empty <=> player is in the air
+   * @param {Player} player
+   */
+  playerIsOnTheseTiles (player = this.player) {
+    return this._tilesUnder(player.getCollisionPath()).filter(tile => Math.abs(tile.top() - player.position.z) < EPSILON)
+  }
+
+  /**
+   * Height the player would land on, -Infinity above a hole
+   * @param {Player} player
+   */
+  _groundUnderPlayer (player) {
+    const heights = this._tilesUnder(player.getCollisionPath())
+      .map(tile => tile.top())
+      .filter(height => height <= player.position.z + EPSILON)
+    return Math.max(-Infinity, ...heights)
+  }
+
+  /**
+   * Whether some tile under `path` stands higher than the player, or it
+   * runs into another player
+   * @param {Player} player
+   * @param {Path} path
+   * @param {Vect} from Where the player is moving along `path` from
+   */
+  _hitsWall (player, path, from = player.position) {
+    if (this._tilesUnder(path).some(tile => tile.top() > player.position.z + EPSILON)) {
+      return true
+    }
+    return this.settings.gamePlayersCollide && this.players.some(other => other !== player && !other.out && this._bumps(player, path, from, other))
+  }
+
+  /**
+   * Whether `player` would run into `other` on `path`, where `other` is or
+   * rolls to. Cubes that already overlap are let go, they would never get
+   * apart otherwise
+   * @param {Player} player
+   * @param {Path} path
+   * @param {Vect} from
+   * @param {Player} other
+   */
+  _bumps (player, path, from, other) {
+    if (Math.abs(other.position.z - player.position.z) >= player.side) {
+      return false
+    }
+    const positions = [other.position]
+    if (other.inRotation) {
+      positions.push(other.position.add(new Vect(other.side, 0, 0).rotateZ(other.orientation)))
+    }
+    const own = Game._footprint(player, from)
+    return positions.map(position => Game._footprint(other, position)).some(footprint =>
+      Collisions.pathIntersection(path, footprint) > EPSILON &&
+      Collisions.pathIntersection(own, footprint) <= EPSILON
+    )
+  }
+
+  /**
+   * Square taken by `player` lying at `position`, even while it rolls
+   * @param {Player} player
+   * @param {Vect} position
+   */
+  static _footprint (player, position) {
+    const s = player.s
+    return new Path([Vect.ZERO, s.cloneY(), s.cloneXY(), s.cloneX()]).translate(position.substract(s.cloneXY().multiply(1 / 2)))
+  }
+
+  /**
+   * Put the player back on the last tile it stood on, or on the nearest
+   * safe one when that tile crumbles or is left behind
+   * @param {Player} player
+   */
+  _rescue (player) {
+    let tile = player.lastSupport
+    if (tile === null || tile instanceof CrumblingTile || this._isInDeathZone(new Vect(tile.x + 0.5, tile.y + 0.5, 0))) {
+      tile = this._nearestSafeTile(player.position)
+    }
+    if (tile === null) {
+      return
+    }
+    player.placeAt(new Vect(tile.x + 0.5, tile.y + 0.5, tile.top()))
+    player.endEffect('shield')
+  }
+
+  /**
+   * The plain or power-up tile nearest to `position`, ahead of the death
+   * zone, looked for around it, at most across the width of the track
+   *
+   * Others would crumble, put the player on a block or end the level
+   * @param {Vect} position
+   * @returns {?Tile}
+   */
+  _nearestSafeTile (position) {
+    const cx = Math.floor(position.x)
+    const cy = Math.floor(position.y)
+    // Ring after ring, the first ring with a tile has about the nearest one
+    for (let r = 0; r < 2 * this.settings.gameWidth; r++) {
+      let nearest = null
+      let nearestDistance = Infinity
+      for (let y = cy - r; y <= cy + r; y++) {
+        for (let x = cx - r; x <= cx + r; x++) {
+          const tile = y in this.tiles ? this.tiles[y][x] : undefined
+          if (Math.max(Math.abs(x - cx), Math.abs(y - cy)) < r || !(tile instanceof Tile) ||
+            tile instanceof CrumblingTile || tile instanceof ObstacleTile || tile instanceof FinishTile) {
+            continue
+          }
+          const center = new Vect(x + 0.5, y + 0.5, 0)
+          const distance = center.substract(position.cloneXY()).lengthSquared()
+          if (distance < nearestDistance && !this._isInDeathZone(center)) {
+            nearest = tile
+            nearestDistance = distance
+          }
+        }
+      }
+      if (nearest !== null) {
+        return nearest
+      }
+    }
+    return null
+  }
+
+  /**
+   * Whether `position` is too far behind the camera to play on
+   * @param {Vect} position
+   */
+  _isInDeathZone (position) {
+    return new Vect(SQRT2 / 2, SQRT2 / 2, 0).dot(position) < this.cameraPosition - this.settings.gameDeathZone
+  }
+
+  /**
+   * Run the simulation in fixed steps of `gameTimeStep`, recording the inputs on the way
+   *
+   * The same inputs at the same steps always give the same game, whatever the frame rate
+   * @param {number} elapsedTime
+   * @param {function(number): void} beforeStep Called with the in-game time before each step
+   */
+  advance (elapsedTime, beforeStep = () => {}) {
+    const step = this.settings.gameTimeStep
+    this.pendingTime += elapsedTime
+    while (this.pendingTime >= step) {
+      this.pendingTime -= step
+      beforeStep(this.t)
+      if (!this.gameOver) {
+        this.recording.record(this.t, this.inputs)
+      }
+      // Slow motion slows the whole game down, in game time
+      const slowMotion = this.players.some(player => player.hasEffect('slowMotion', this.t))
+      this.update(slowMotion ? step * this.settings.gameSlowMotionFactor : step)
+    }
+    if (this.ghost !== null) {
+      this.ghost.follow(this.t)
+    }
+  }
+
+  /**
+   * Update the game state for a given number of seconds
+   * @param {number} elapsedTime
+   */
+  update (elapsedTime) {
+    this.extendWorld()
+
+    // Figure out next event, the first one of any player
+    const events = this.players.map(player => this._nextEvents(player))
+    const dt = Math.min(elapsedTime, ...[].concat(...events.map(e => e.dts)))
+
+    // Platforms carry whoever stands on them
+    const carriers = this.players.map(player => player.inAir ? undefined : this.playerIsOnTheseTiles(player).find(tile => tile instanceof MovingTile))
+
+    this.t += dt
+
+    // Moving platforms, and the players with them unless something blocks the way
+    for (const platform of this.platforms) {
+      const from = new Vect(platform.x, platform.y, 0)
+      platform.moveTo(this.t)
+      this.players.forEach((player, i) => {
+        if (platform === carriers[i]) {
+          const position = player.position
+          player.position = position.add(new Vect(platform.x, platform.y, 0).substract(from))
+          if (this._hitsWall(player, player.getCollisionPath(), position)) {
+            player.position = position
+          }
+        }
+      })
+    }
+
+    this.players.forEach((player, i) => this._updatePlayer(player, events[i], dt))
+
+    // Compute camera position
+    this.cameraPosition = this.getCameraPosition(this.t)
+
+    for (const player of this.players) {
+      // Compute score
+      const distance = new Vect(SQRT2 / 2, SQRT2 / 2, 0).dot(player.position)
+      player.score = Math.max(player.score, Math.floor(distance - new Vect(SQRT2 / 2, SQRT2 / 2, 0).dot(this.start)))
+
+      // ded? Not with a shield, that is used up instead
+      if (!this.gameOver && !player.out && player.position.z < -EPSILON && player.hasEffect('shield', this.t)) {
+        this._rescue(player)
+      }
+      if (!this.gameOver && !player.out && (this._isInDeathZone(player.position) || player.position.z < -EPSILON)) {
+        player.out = true
+        player.outAt = this.t
+      }
+    }
+    this.score = Math.max(...this.players.map(player => player.score))
+
+    // The game goes on as long as someone plays
+    if (!this.gameOver && this.players.every(player => player.out)) {
+      this.gameOver = true
+      this.gameOverAt = this.t
+    }
+
+    // Do we need to compute another event?
+    if (elapsedTime - dt > EPSILON) {
+      return this.update(elapsedTime - dt)
+    }
+  }
+
+  /**
+   * What happens next to `player`, and in how long
+   *
+   * Times are Infinity for what does not happen at all
+   * @param {Player} player
+   */
+  _nextEvents (player) {
+    // Nothing to do once the level is complete, or out of the game
+    let direction = this.levelComplete || player.out ? Vect.ZERO : player.inputs.direction
+    if (direction.lengthSquared() > 0) {
+      direction = direction.normalize()
+    }
+
+    const dts = []
+    let dtRotation = Infinity
+    let dtFalling = Infinity
+    let dtOrientation = Infinity
+
+    // Checking rotation
+    if (player.inRotation) {
+      dtRotation = (PI / 2 - player.rotation) / player.rotationAngularVelocity
+      dts.push(dtRotation)
+    }
+    // Checking player's height: there may be nothing to land on
+    const ground = this._groundUnderPlayer(player)
+    if (player.inAir && ground > -Infinity) {
+      // Walls let a player get a rounding error below the top of a tile,
+      // that landing is overdue then: it happens now, rather than never,
+      // the player sinking through the tile
+      dtFalling = Math.max(player.timeToFallTo(ground, this.t), 0)
+      dts.push(dtFalling)
+    }
+    // Checking orientation
+    let orientationClockwise = false
+    let angle = 0
+    if (direction.lengthSquared() > 0) {
+      angle = Math.atan2(direction.y, direction.x)
+      if (!player.inRotation && Math.abs((angle - player.orientation) % (PI / 2)) > EPSILON) {
+        const diff = Math.abs(angle - player.orientation) % (PI / 2)
+        if (angle < player.orientation) {
+          orientationClockwise = !orientationClockwise
+        }
+        const dtClockwise = diff / player.orientationAngularVelocity
+        const dtCounterclockwise = ((PI / 2) - diff) / player.orientationAngularVelocity
+        dtOrientation = dtClockwise
+        if (dtCounterclockwise < dtClockwise) {
+          dtOrientation = dtCounterclockwise
+          orientationClockwise = !orientationClockwise
+        }
+        dts.push(dtOrientation)
+      }
+    }
+
+    return { direction, dts, dtRotation, dtFalling, dtOrientation, ground, angle, orientationClockwise }
+  }
+
+  /**
+   * Move `player` on by `dt`, the events due by then happening
+   * @param {Player} player
+   * @param {{ direction: Vect; dtRotation: number; dtFalling: number; dtOrientation: number; ground: number; angle: number; orientationClockwise: boolean; }} events
+   * @param {number} dt
+   */
+  _updatePlayer (player, events, dt) {
+    const { direction, ground, angle } = events
+
+    // Finishind rotation
+    if (dt === events.dtRotation) {
+      player.endRotation()
+    } else if (player.inRotation) {
+      player.updateRotation(this.t)
+    }
+
+    // Reaching the ground
+    if (dt === events.dtFalling) {
+      player.resetAltitude(ground)
+    } else if (player.inAir) {
+      player.updateAltitude(this.t)
+    }
+
+    // Reaching correct orientation
+    if (dt === events.dtOrientation) {
+      player.setOrientation(angle)
+    }
+
+    // We have to check collisions now
+    if (!player.inAir || dt === events.dtFalling) {
+      const tiles = this.playerIsOnTheseTiles(player)
+      if (tiles.length > 0) {
+        player.land()
+        player.lastSupport = tiles[0]
+
+        if (!this.gameOver && tiles.some(tile => tile instanceof FinishTile)) {
+          this.levelComplete = true
+          this.gameOver = true
+          this.gameOverAt = this.t
+        }
+
+        for (const tile of tiles) {
+          if (tile instanceof CrumblingTile) {
+            tile.stepOn(this.t, this.settings.gameCrumblingDelay)
+            this.crumblingUntil = Math.max(this.crumblingUntil, tile.fallsAt)
+          }
+        }
+
+        if (!player.inRotation) {
+          for (const tile of tiles) {
+            if (tile instanceof PowerUpTile && !tile.consumed) {
+              player.eatPowerUp(this.t, tile.kind)
+              tile.consumed = true
+              tile.consumedSince = this.t
+            }
+          }
+        }
+      } else if (!player.inAir) {
+        player.setInAir(this.t)
+      }
+    }
+
+    // Examining inputs
+    const inputs = player.inputs
+    const jumpPressed = inputs.jump && !player.jumpHeld
+    player.jumpHeld = inputs.jump
+    if ((inputs.jump || player.jumpQueued) && !this.levelComplete && !player.out) {
+      if (!player.inAir && !player.inRotation) {
+        player.jumpQueued = false
+        player.jump(this.t)
+      } else if (!player.inAir) {
+        player.jumpQueued = true
+      } else if (jumpPressed && !player.doubleJumped && player.hasEffect('doubleJump', this.t)) {
+        player.doubleJumped = true
+        player.jump(this.t)
+      }
+    }
+
+    // Changing orientation
+    if (direction.lengthSquared() > 0 && !player.inRotation) {
+      if (Math.abs((angle - player.orientation) % (PI / 2)) < EPSILON) {
+        player.setOrientation(angle)
+        // Higher tiles are walls, unless jumped on
+        const rolled = player.getCollisionPath().translate(new Vect(player.side, 0, 0).rotateZ(angle))
+        if (!player.inAir && !this._hitsWall(player, rolled)) {
+          player.beginRotation(this.t)
+        }
+      } else {
+        const sign = events.orientationClockwise ? -1 : 1
+        player.setOrientation(player.orientation + sign * dt * player.orientationAngularVelocity)
+      }
+      if (player.position.z >= 0) {
+        const position = player.position
+        player.flyTowards(direction, dt)
+        if (this._hitsWall(player, player.getCollisionPath(), position)) {
+          player.position = position
+        }
+      }
+    }
+
+    // Magnets pull the player back towards the y=x axis, but neither into a
+    // wall nor off the ground over a hole
+    if (player.hasEffect('magnet', this.t)) {
+      const position = player.position
+      const offset = (position.x - position.y) / 2
+      const pull = Math.sign(offset) * Math.min(Math.abs(offset), this.settings.gameMagnetVelocity * dt)
+      player.position = position.add(new Vect(-pull, pull, 0))
+      if (this._hitsWall(player, player.getCollisionPath(), position) || (!player.inAir && this.playerIsOnTheseTiles(player).length === 0)) {
+        player.position = position
+      }
+    }
+  }
+
+  /**
+   * @param {number} t
+   */
+  getCameraPosition (t) {
+    if (!this.gameOver || t <= this.gameOverAt) {
+      return this.settings.gameAcceleration / 2 * t * t + this.settings.gameInitialVelocity * t + this.cameraStart
+    }
+    const v = this.settings.gameAcceleration * this.gameOverAt + this.settings.gameInitialVelocity
+    const a = this.settings.gameCameraStopDuration > 0 ? -v / this.settings.gameCameraStopDuration : 0
+    const dt = Math.min(this.settings.gameCameraStopDuration, t - this.gameOverAt)
+    return this.getCameraPosition(this.gameOverAt) + a / 2 * dt * dt + v * dt
+  }
+}
+
+class State {
+  constructor () {
+    // Name of the current screen, see Main.screens
+    this.screen = 'title'
+    /** @type {?string} */
+    this.previousScreen = null
+    this.screenSince = 0
+    /** @type {Game} */
+    this.game = null
+    /** @type {GameInputs} */
+    this.gameInputs = null
+    // Those of the second player, in two players games
+    /** @type {?GameInputs} */
+    this.secondGameInputs = null
+    this.t = 0
+    /** @type {?number} */
+    this.gameOverAt = null
+    /** @type {?InputRecording} */
+    this.lastRecording = null
+    // What the last recording was played on, null for a generated world
+    /** @type {?Level} */
+    this.lastLevel = null
+    // Loaded from a file or from ?level=
+    /** @type {?Level} */
+    this.level = null
+    // Why the last level did not load
+    this.levelError = ''
+    // Why the last theme file did not load
+    this.themeError = ''
+    // Whether the game is a test of the level editor
+    this.editing = false
+    /** @type {?Replay} */
+    this.replay = null
+    /** @type {?HighScores} */
+    this.highScores = null
+    // Rank of the last game in the high scores, -1 if it did not make it
+    this.highScoreRank = -1
+  }
+}
+
+/**
+ * Fill that goes from color to color along a line, like the gradients of
+ * the canvas
+ */
+class LinearGradient {
+  /**
+   * @param {number} x0
+   * @param {number} y0
+   * @param {number} x1
+   * @param {number} y1
+   */
+  constructor (x0, y0, x1, y1) {
+    this.x0 = x0
+    this.y0 = y0
+    this.x1 = x1
+    this.y1 = y1
+    /** @type {{ offset: number; color: string; }[]} */
+    this.stops = []
+  }
+
+  /**
+   * @param {number} offset From 0 to 1
+   * @param {string} color
+   */
+  addColorStop (offset, color) {
+    this.stops.push({ offset, color })
+  }
+}
+
+/**
+ * What the scene drawer draws on: filled paths, in pixels
+ *
+ * Fills are either CSS color strings or linear gradients
+ */
+class DrawingBackend {
+  /**
+   * @param {number} width
+   * @param {number} height
+   */
+  constructor (width, height) {
+    this.width = width
+    this.height = height
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @param {number} width
+   * @param {number} height
+   * @param {string|LinearGradient} fill
+   */
+  fillRect (x, y, width, height, fill) {
+    this.fillPath([new Vect(x, y, 0), new Vect(x + width, y, 0), new Vect(x + width, y + height, 0), new Vect(x, y + height, 0)], fill)
+  }
+
+  /**
+   * Fill the closed polygon going through `points`
+   * @param {Vect[]} points
+   * @param {string|LinearGradient} fill
+   */
+  fillPath (points, fill) {
+    throw new Error('Drawing backends must implement fillPath')
+  }
+
+  /**
+   * Fill several polygons as one: no seam shows where they meet
+   * @param {Vect[][]} polygons
+   * @param {string|LinearGradient} fill
+   */
+  fillPaths (polygons, fill) {
+    for (const points of polygons) {
+      this.fillPath(points, fill)
+    }
+  }
+}
+
+class Canvas2DBackend extends DrawingBackend {
+  /**
+   * @param {CanvasRenderingContext2D} context
+   */
+  constructor (context) {
+    super(context.canvas.width, context.canvas.height)
+    this.context = context
+  }
+
+  /**
+   * @param {string|LinearGradient} fill
+   */
+  _style (fill) {
+    if (!(fill instanceof LinearGradient)) {
+      return fill
+    }
+    const gradient = this.context.createLinearGradient(fill.x0, fill.y0, fill.x1, fill.y1)
+    for (const stop of fill.stops) {
+      gradient.addColorStop(stop.offset, stop.color)
+    }
+    return gradient
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @param {number} width
+   * @param {number} height
+   * @param {string|LinearGradient} fill
+   */
+  fillRect (x, y, width, height, fill) {
+    this.context.fillStyle = this._style(fill)
+    this.context.fillRect(x, y, width, height)
+  }
+
+  /**
+   * @param {Vect[]} points
+   * @param {string|LinearGradient} fill
+   */
+  fillPath (points, fill) {
+    this.fillPaths([points], fill)
+  }
+
+  /**
+   * @param {Vect[][]} polygons
+   * @param {string|LinearGradient} fill
+   */
+  fillPaths (polygons, fill) {
+    const ctx = this.context
+    ctx.fillStyle = this._style(fill)
+    ctx.beginPath()
+    for (const points of polygons) {
+      ctx.moveTo(points[0].x, points[0].y)
+      for (const point of points.slice(1)) {
+        ctx.lineTo(point.x, point.y)
+      }
+      ctx.closePath()
+    }
+    ctx.fill()
+  }
+}
+
+/**
+ * Builds an SVG document, with no need for a DOM
+ */
+class SvgBackend extends DrawingBackend {
+  /**
+   * @param {number} width
+   * @param {number} height
+   */
+  constructor (width, height) {
+    super(width, height)
+    /** @type {string[]} */
+    this.definitions = []
+    /** @type {string[]} */
+    this.elements = []
+  }
+
+  /**
+   * Two decimals are more than enough for pixels, and keep files small
+   * @param {number} n
+   */
+  static _number (n) {
+    return Number(n.toFixed(2)).toString()
+  }
+
+  /**
+   * @param {string|LinearGradient} fill
+   */
+  _fill (fill) {
+    if (!(fill instanceof LinearGradient)) {
+      return fill
+    }
+    const n = SvgBackend._number
+    const id = `gradient${this.definitions.length}`
+    const stops = fill.stops.map(stop => `<stop offset="${n(stop.offset)}" stop-color="${stop.color}"/>`).join('')
+    this.definitions.push(`<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${n(fill.x0)}" y1="${n(fill.y0)}" x2="${n(fill.x1)}" y2="${n(fill.y1)}">${stops}</linearGradient>`)
+    return `url(#${id})`
+  }
+
+  /**
+   * @param {Vect[]} points
+   * @param {string|LinearGradient} fill
+   */
+  fillPath (points, fill) {
+    this.fillPaths([points], fill)
+  }
+
+  /**
+   * @param {Vect[][]} polygons
+   * @param {string|LinearGradient} fill
+   */
+  fillPaths (polygons, fill) {
+    const n = SvgBackend._number
+    const d = polygons.map(points => points.map((point, i) => `${i === 0 ? 'M' : 'L'}${n(point.x)} ${n(point.y)}`).join('') + 'Z').join('')
+    this.elements.push(`<path d="${d}" fill="${this._fill(fill)}"/>`)
+  }
+
+  toString () {
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">` +
+      `<defs>${this.definitions.join('')}</defs>${this.elements.join('')}</svg>`
+  }
+}
+
+/**
+ * Batches every filled path of a frame into one buffer of colored
+ * triangles, drawn with a single WebGL call
+ *
+ * Paths are convex, so they are cut into fans. A linear gradient is affine
+ * across a path, so it is exact as per-vertex colors
+ */
+class WebGLBackend extends DrawingBackend {
+  /**
+   * @param {WebGLRenderingContext} gl
+   */
+  constructor (gl) {
+    super(gl.canvas.width, gl.canvas.height)
+    this.gl = gl
+    this.program = this._createProgram(
+      `attribute vec2 position;
+      attribute vec4 color;
+      uniform vec2 resolution;
+      varying vec4 vColor;
+      void main() {
+        vec2 clip = position / resolution * 2.0 - 1.0;
+        gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+        vColor = color;
+      }`,
+      `precision mediump float;
+      varying vec4 vColor;
+      void main() {
+        gl_FragColor = vColor;
+      }`
+    )
+    this.positionLocation = gl.getAttribLocation(this.program, 'position')
+    this.colorLocation = gl.getAttribLocation(this.program, 'color')
+    this.resolutionLocation = gl.getUniformLocation(this.program, 'resolution')
+    this.buffer = gl.createBuffer()
+
+    // x, y, r, g, b, a
+    this.vertices = new Float32Array(6 * 4096)
+    this.vertexCount = 0
+    /** @type {Map<string, Color>} */
+    this.colors = new Map()
+  }
+
+  /**
+   * @param {string} vertexSource
+   * @param {string} fragmentSource
+   */
+  _createProgram (vertexSource, fragmentSource) {
+    const gl = this.gl
+    const program = gl.createProgram()
+    for (const [type, source] of [[gl.VERTEX_SHADER, vertexSource], [gl.FRAGMENT_SHADER, fragmentSource]]) {
+      const shader = gl.createShader(type)
+      gl.shaderSource(shader, source)
+      gl.compileShader(shader)
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        throw new Error(`Shader compilation failed: ${gl.getShaderInfoLog(shader)}`)
+      }
+      gl.attachShader(program, shader)
+    }
+    gl.linkProgram(program)
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      throw new Error(`Shader linking failed: ${gl.getProgramInfoLog(program)}`)
+    }
+    return program
+  }
+
+  /**
+   * Start a new frame, at the current size of the canvas
+   */
+  clear () {
+    this.width = this.gl.canvas.width
+    this.height = this.gl.canvas.height
+    this.vertexCount = 0
+  }
+
+  /**
+   * Parsed colors are kept, the same few are used over and over
+   *
+   * Fading colors are new ones every frame, the cache starts over once full
+   * @param {string} s
+   */
+  _color (s) {
+    let color = this.colors.get(s)
+    if (color === undefined) {
+      color = Color.parse(s)
+      if (this.colors.size >= 1024) {
+        this.colors.clear()
+      }
+      this.colors.set(s, color)
+    }
+    return color
+  }
+
+  /**
+   * Color of the gradient at `point`
+   * @param {LinearGradient} gradient
+   * @param {Vect} point
+   */
+  _gradientColor (gradient, point) {
+    const dx = gradient.x1 - gradient.x0
+    const dy = gradient.y1 - gradient.y0
+    const t = Math.min(Math.max(((point.x - gradient.x0) * dx + (point.y - gradient.y0) * dy) / (dx * dx + dy * dy), 0), 1)
+    const stops = gradient.stops
+    let i = 1
+    while (i < stops.length - 1 && stops[i].offset < t) {
+      i++
+    }
+    const before = stops[i - 1]
+    const after = stops[i]
+    const u = after.offset > before.offset ? Math.min(Math.max((t - before.offset) / (after.offset - before.offset), 0), 1) : 0
+    return Color.gradient(this._color(before.color), this._color(after.color), u)
+  }
+
+  /**
+   * @param {Vect} point
+   * @param {Color} color
+   */
+  _pushVertex (point, color) {
+    if (this.vertexCount * 6 === this.vertices.length) {
+      const vertices = new Float32Array(this.vertices.length * 2)
+      vertices.set(this.vertices)
+      this.vertices = vertices
+    }
+    this.vertices.set([point.x, point.y, color.r / 255, color.g / 255, color.b / 255, color.a], this.vertexCount * 6)
+    this.vertexCount++
+  }
+
+  /**
+   * @param {Vect[]} points
+   * @param {string|LinearGradient} fill
+   */
+  fillPath (points, fill) {
+    const colors = points.map(point => fill instanceof LinearGradient ? this._gradientColor(fill, point) : this._color(fill))
+    for (let i = 1; i < points.length - 1; i++) {
+      this._pushVertex(points[0], colors[0])
+      this._pushVertex(points[i], colors[i])
+      this._pushVertex(points[i + 1], colors[i + 1])
+    }
+  }
+
+  /**
+   * Draw everything filled since the last `clear`
+   */
+  flush () {
+    const gl = this.gl
+    gl.viewport(0, 0, this.width, this.height)
+    gl.useProgram(this.program)
+    gl.enable(gl.BLEND)
+    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA)
+    gl.uniform2f(this.resolutionLocation, this.width, this.height)
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.buffer)
+    gl.bufferData(gl.ARRAY_BUFFER, this.vertices.subarray(0, this.vertexCount * 6), gl.STREAM_DRAW)
+    gl.enableVertexAttribArray(this.positionLocation)
+    gl.vertexAttribPointer(this.positionLocation, 2, gl.FLOAT, false, 24, 0)
+    gl.enableVertexAttribArray(this.colorLocation)
+    gl.vertexAttribPointer(this.colorLocation, 4, gl.FLOAT, false, 24, 8)
+    gl.drawArrays(gl.TRIANGLES, 0, this.vertexCount)
+  }
+}
+
+class ProjectedContext {
+  /**
+   * @param {DrawingBackend} backend
+   * @param {Matrix} projectionMatrix
+   * @param {Vect} origin
+   */
+  constructor (backend, projectionMatrix, origin) {
+    this.backend = backend
+    this.projectionMatrix = projectionMatrix
+    this.origin = origin
+  }
+}
+
+class GameScene {
+  /**
+   * @param {Player[]} players
+   * @param {number} start
+   * @param {number} end
+   * @param {{ 1: { 1: Tile; }; }} tiles
+   * @param {number} powerUpColorId
+   * @param {number} t
+   * @param {number} lastPowerUpTime
+   * @param {MovingTile[]} platforms
+   * @param {?Player} ghost
+   */
+  constructor (players, start, end, tiles, powerUpColorId, t, lastPowerUpTime, platforms, ghost) {
+    this.players = players
+    this.start = start
+    this.end = end
+    this.tiles = tiles
+    this.powerUpColorId = powerUpColorId
+    this.t = t
+    this.lastPowerUpTime = lastPowerUpTime
+    this.platforms = platforms
+    this.ghost = ghost
+  }
+
+  /**
+   * @param {Game} game
+   */
+  static fromGame (game) {
+    return new GameScene(game.players, game.viewportStart, game.viewportEnd, game.tiles, game.player.level + 1, game.t, game.player.levelSince, game.platforms, game.ghost === null ? null : game.ghost.game.player)
+  }
+}
+
+class GameSceneDrawer {
+  /**
+   * @param {RendererSettings} settings
+   */
+  constructor (settings) {
+    this.settings = settings
+    this.computeColors()
+  }
+
+  /**
+   * Pre-compute some colors, again whenever the settings change
+   */
+  computeColors () {
+    const settings = this.settings
+    this.backgroundColor = settings.rendererBackgroundColor.toString()
+    this.groundColor = this._faceColor(settings.rendererGroundColor, new Vect(0, 0, 1)).toString()
+    this.bottomLeftSideColor = this._faceColor(settings.rendererGroundColor, new Vect(-1, 0, 0)).toString()
+    this.bottomRightSideColor = this._faceColor(settings.rendererGroundColor, new Vect(0, -1, 0)).toString()
+  }
+
+  /**
+   * Draw a `scene` on a `projectedContext`
+   *
+   * Faces are drawn back to front, cell after cell. The player and the
+   * platforms go right before the first face they are behind, so that they
+   * fall behind the tiles
+   * @param {ProjectedContext} projectedContext
+   * @param {GameScene} scene
+   */
+  drawScene (projectedContext, scene) {
+    const backend = projectedContext.backend
+    backend.fillRect(0, 0, backend.width, backend.height, this.backgroundColor)
+
+    const faces = this._tileFaces(scene)
+    GameSceneDrawer._coverSharedEdges(faces)
+
+    const movers = this._movers(projectedContext, scene)
+    const indices = movers.map(mover => this._moverIndex(projectedContext, mover, faces))
+    faces.forEach((face, i) => {
+      this._drawMovers(movers.filter((mover, j) => indices[j] === i))
+      this._drawFace(projectedContext, face)
+    })
+    this._drawMovers(movers.filter((mover, j) => indices[j] === faces.length))
+  }
+
+  /**
+   * Draw what moves in the `scene`, the players, the ghost and the
+   * platforms, the tiles being already drawn
+   * @param {ProjectedContext} projectedContext
+   * @param {GameScene} scene
+   */
+  drawMovers (projectedContext, scene) {
+    this._drawMovers(this._movers(projectedContext, scene))
+  }
+
+  /**
+   * Whether a tile may hide a mover of the `scene`: one in front of it,
+   * higher than its bottom, and across it on the screen. Drawn over the
+   * tiles, the mover would show through that tile
+   * @param {ProjectedContext} projectedContext
+   * @param {GameScene} scene
+   */
+  isMoverHidden (projectedContext, scene) {
+    const { u, v, w } = projectedContext.projectionMatrix
+    const origin = projectedContext.origin
+    return this._movers(projectedContext, scene).some(mover => {
+      const bottom = mover.box.min.z
+      const moverScreenBox = GameSceneDrawer._box([].concat(...mover.visibleFaces).map(vertex => this._project(projectedContext, vertex.x, vertex.y, vertex.z)))
+      // Heights go straight up the screen, so that on each row only a few
+      // cells are across the mover, between these x
+      const left = moverScreenBox.min.x - origin.x - Math.max(u.x, 0) - Math.max(v.x, 0)
+      const right = moverScreenBox.max.x - origin.x - Math.min(u.x, 0) - Math.min(v.x, 0)
+      // Cells past the mover are behind it
+      for (let y = scene.start; y <= Math.min(scene.end, Math.floor(mover.box.max.y)); y++) {
+        const ends = [(left - v.x * y) / u.x, (right - v.x * y) / u.x]
+        const end = Math.min(scene.end, Math.floor(mover.box.max.x), Math.ceil(Math.max(...ends)))
+        for (let x = Math.max(scene.start, Math.floor(Math.min(...ends))); x <= end; x++) {
+          if (!this._isTile(scene, x, y)) {
+            continue
+          }
+          // Only what stands above the bottom of the mover may hide it
+          const top = scene.tiles[y][x].top()
+          if (top <= bottom + EPSILON || !GameSceneDrawer._isInFront({ min: new Vect(x, y, bottom), max: new Vect(x + 1, y + 1, top) }, mover.box)) {
+            continue
+          }
+          // The screen bounds of a box are those of its center, widened by
+          // the screen sizes of its half sides
+          const center = this._project(projectedContext, x + 0.5, y + 0.5, (bottom + top) / 2)
+          const width = (Math.abs(u.x) + Math.abs(v.x) + Math.abs(w.x) * (top - bottom)) / 2
+          const height = (Math.abs(u.y) + Math.abs(v.y) + Math.abs(w.y) * (top - bottom)) / 2
+          if (center.x - width < moverScreenBox.max.x && moverScreenBox.min.x < center.x + width &&
+            center.y - height < moverScreenBox.max.y && moverScreenBox.min.y < center.y + height) {
+            return true
+          }
+        }
+      }
+      return false
+    })
+  }
+
+  /**
+   * What moves in the `scene`, each drawn on its own
+   * @param {ProjectedContext} projectedContext
+   * @param {GameScene} scene
+   * @returns {{ box: { min: Vect; max: Vect; }; visibleFaces: Vect[][]; draw: function(): void; }[]}
+   */
+  _movers (projectedContext, scene) {
+    const movers = scene.platforms.map(platform => {
+      const faces = []
+      this._pushTileFaces(faces, scene, platform, platform.height, true)
+      GameSceneDrawer._coverSharedEdges(faces)
+      const visibleFaces = faces.map(face => face.vertices)
+      return {
+        box: GameSceneDrawer._box([].concat(...visibleFaces)),
+        visibleFaces,
+        draw: () => faces.forEach(face => this._drawFace(projectedContext, face))
+      }
+    })
+    const players = scene.players.filter(player => !this.hasSunk(player))
+    if (scene.ghost instanceof Player && !this.hasSunk(scene.ghost) && this.settings.rendererGhostOpacity > 0) {
+      players.push(scene.ghost)
+    }
+    for (const player of players) {
+      const cube = this._playerCube(player)
+      movers.push({
+        box: GameSceneDrawer._box([].concat(...cube.faces.map(face => face.vertices))),
+        visibleFaces: cube.faces.filter(face => face.normal.dot(new Vect(1, 1, -1)) < -EPSILON).map(face => face.vertices),
+        draw: () => this.drawPlayer(projectedContext, scene, player)
+      })
+    }
+    return movers
+  }
+
+  /**
+   * @param {{ box: { min: Vect; max: Vect; }; draw: function(): void; }[]} movers
+   */
+  _drawMovers (movers) {
+    movers
+      .sort((a, b) => GameSceneDrawer._isInFront(a.box, b.box) ? 1 : -1)
+      .forEach(mover => mover.draw())
+  }
+
+  /**
+   * Faces of the tiles of the `scene`, in painter's order
+   *
+   * Drawing the cells from back to front, with sides before tops, is
+   * enough whatever their heights: a tile and the block of an obstacle on
+   * it stand within their cell, and hide nothing of the cells in front of
+   * it, that are drawn after it
+   * @param {GameScene} scene
+   * @returns {{ vertices: Vect[]; color: string; leftSide: ?boolean; solid: number; covered: Vect[][]; }[]}
+   */
+  _tileFaces (scene) {
+    const faces = []
+
+    // (len ** 2) tiles to draw
+    const len = scene.end - scene.start + 1
+
+    // We draw them from back to front
+    for (let i = 0; i < 2 * len - 1; i++) {
+      for (let j = Math.max(0, i - len + 1); j <= Math.min(i, len - 1); j++) {
+        const x = len - j - 1 + scene.start
+        const y = len - (i - j) - 1 + scene.start
+        if (this._isTile(scene, x, y)) {
+          const tile = scene.tiles[y][x]
+          let z = tile.height
+          if (tile instanceof CrumblingTile && tile.fallsAt !== null) {
+            // Shaking, about to fall
+            z -= this.settings.rendererCrumblingShake * (1 + Math.sin(scene.t * 60)) / 2
+          }
+          this._pushTileFaces(faces, scene, tile, z, false)
+          if (tile instanceof ObstacleTile) {
+            this._pushBlockFaces(faces, tile)
+          }
+        } else if (y in scene.tiles && scene.tiles[y][x] instanceof CrumblingTile) {
+          const tile = scene.tiles[y][x]
+          const dt = scene.t - tile.fallsAt
+          if (dt < this.settings.rendererFallingAnimationDuration) {
+            this._pushTileFaces(faces, scene, tile, tile.height + this.settings.playerAcceleration.z / 2 * dt * dt, true)
+          }
+        }
+      }
+    }
+    return faces
+  }
+
+  /**
+   * Add the faces of a tile, its top at height `z`
+   *
+   * Its sides go down to the tiles in front, or to the ground level over
+   * holes, then fade into the background
+   * @param {{ vertices: Vect[]; color: string; leftSide: ?boolean; solid: number; covered: Vect[][]; }[]} faces
+   * @param {GameScene} scene
+   * @param {Tile} tile
+   * @param {number} z
+   * @param {boolean} falling Whether it falls from the others, showing both its sides
+   */
+  _pushTileFaces (faces, scene, tile, z, falling) {
+    const x = tile.x
+    const y = tile.y
+    const h = this.settings.rendererTileHeight
+    let tileColor = this.settings.rendererGroundColor
+    if (tile instanceof PowerUpTile) {
+      tileColor = this._tileColor(scene, tile)
+    } else if (tile instanceof FinishTile) {
+      // Checkered
+      tileColor = (x + y) % 2 === 0 ? this.settings.rendererTextColor : this.settings.rendererMutedTextColor
+    }
+    /**
+     * @param {Vect} normal
+     * @param {string} groundColor Already computed, for plain tiles on the ground
+     */
+    const color = (normal, groundColor) => tileColor === this.settings.rendererGroundColor && z === tile.height
+      ? groundColor
+      : this._fadeBelowGround(this._faceColor(tileColor, normal), z).toString()
+
+    //   _-"-_
+    // 2 _   _ 2
+    // |   1   |
+    // 3 _ | _ 3
+    //     4
+    for (const leftSide of [true, false]) {
+      const neighborX = leftSide ? x - 1 : x
+      const neighborY = leftSide ? y : y - 1
+      const neighbor = !falling && this._isTile(scene, neighborX, neighborY) ? scene.tiles[neighborY][neighborX] : null
+      if (neighbor === null || neighbor.height < z) {
+        const base = Math.min(neighbor === null ? 0 : neighbor.height, z)
+        const bottom = base - h
+        const two = leftSide ? new Vect(x, y + 1, z) : new Vect(x + 1, y, z)
+        faces.push({
+          vertices: [new Vect(x, y, z), two, two.add(new Vect(0, 0, bottom - z)), new Vect(x, y, bottom)],
+          color: leftSide ? color(new Vect(-1, 0, 0), this.bottomLeftSideColor) : color(new Vect(0, -1, 0), this.bottomRightSideColor),
+          leftSide,
+          solid: (z - base) / (z - bottom),
+          covered: []
+        })
+      }
+    }
+
+    faces.push({
+      vertices: [new Vect(x, y, z), new Vect(x + 1, y, z), new Vect(x + 1, y + 1, z), new Vect(x, y + 1, z)],
+      color: color(new Vect(0, 0, 1), this.groundColor),
+      leftSide: null,
+      solid: 1,
+      covered: []
+    })
+  }
+
+  /**
+   * Add the faces of the block of an obstacle, those turned to the viewer
+   * @param {{ vertices: Vect[]; color: string; leftSide: ?boolean; solid: number; covered: Vect[][]; }[]} faces
+   * @param {ObstacleTile} tile
+   */
+  _pushBlockFaces (faces, tile) {
+    const block = new Prism(new Vect(1, 1, tile.blockHeight)).translate(new Vect(tile.x, tile.y, tile.height))
+    for (const path of block.faces) {
+      if (path.normal.dot(new Vect(1, 1, -1)) < 0) {
+        faces.push({
+          vertices: path.vertices,
+          color: this._faceColor(this.settings.rendererObstacleColor, path.normal).toString(),
+          leftSide: null,
+          solid: 1,
+          covered: []
+        })
+      }
+    }
+  }
+
+  /**
+   * Things going down a hole fade into the background
+   * @param {Color} color
+   * @param {number} top Height of the top of the thing
+   */
+  _fadeBelowGround (color, top) {
+    const t = Math.min(Math.max(-top / this.settings.rendererTileHeight, 0), 1)
+    return Color.gradient(color, this.settings.rendererBackgroundColor, t)
+  }
+
+  /**
+   * Antialiasing leaves the background showing through the edges that two
+   * faces share. Looked up by edge, the face drawn first also fills the
+   * faces drawn after it, that cover it back right away
+   * @param {{ vertices: Vect[]; covered: Vect[][]; }[]} faces In painter's order
+   */
+  static _coverSharedEdges (faces) {
+    /** @type {Map<string, { vertices: Vect[]; covered: Vect[][]; }[]>} */
+    const edges = new Map()
+    /**
+     * @param {Vect} v
+     */
+    const key = v => `${Math.round(v.x * 1000)},${Math.round(v.y * 1000)},${Math.round(v.z * 1000)}`
+    for (const face of faces) {
+      face.vertices.forEach((v, i) => {
+        const keys = [key(v), key(face.vertices[(i + 1) % face.vertices.length])].sort()
+        const edge = keys.join(' ')
+        const others = edges.get(edge) || []
+        for (const other of others) {
+          other.covered.push(face.vertices)
+        }
+        others.push(face)
+        edges.set(edge, others)
+      })
+    }
+  }
+
+  /**
+   * @param {Vect[]} vertices
+   */
+  static _box (vertices) {
+    return {
+      min: new Vect(Math.min(...vertices.map(v => v.x)), Math.min(...vertices.map(v => v.y)), Math.min(...vertices.map(v => v.z))),
+      max: new Vect(Math.max(...vertices.map(v => v.x)), Math.max(...vertices.map(v => v.y)), Math.max(...vertices.map(v => v.z)))
+    }
+  }
+
+  /**
+   * Whether `a` is in front of `b`, two convex things that do not cross
+   *
+   * A plane between them tells which one is on the side of the viewer, who
+   * looks towards +x, +y and -z
+   * @param {{ min: Vect; max: Vect; }} a
+   * @param {{ min: Vect; max: Vect; }} b
+   */
+  static _isInFront (a, b) {
+    if (a.max.x <= b.min.x + EPSILON) {
+      return true
+    } else if (b.max.x <= a.min.x + EPSILON) {
+      return false
+    } else if (a.max.y <= b.min.y + EPSILON) {
+      return true
+    } else if (b.max.y <= a.min.y + EPSILON) {
+      return false
+    } else if (a.min.z >= b.max.z - EPSILON) {
+      return true
+    } else if (b.min.z >= a.max.z - EPSILON) {
+      return false
+    }
+    // They cross: the nearest center wins
+    const depth = box => box.min.add(box.max).dot(new Vect(1, 1, -1))
+    return depth(a) < depth(b)
+  }
+
+  /**
+   * Where a mover goes among the `faces`: after those it hides, before
+   * those that hide it
+   * @param {ProjectedContext} projectedContext
+   * @param {{ box: { min: Vect; max: Vect; }; visibleFaces: Vect[][]; }} mover
+   * @param {{ vertices: Vect[]; }[]} faces
+   */
+  _moverIndex (projectedContext, mover, faces) {
+    /**
+     * Screen coordinates, flat
+     * @param {Vect[]} vertices
+     */
+    const project = vertices => vertices.map(v => this._project(projectedContext, v.x, v.y, v.z).cloneXY())
+    const box = mover.box
+    const silhouette = mover.visibleFaces.map(vertices => new Path(project(vertices)))
+    const screen = GameSceneDrawer._box([].concat(...silhouette.map(path => path.vertices)))
+
+    let lastBehind = -1
+    let firstInFront = faces.length
+    faces.forEach((face, i) => {
+      const vertices = project(face.vertices)
+      const faceScreen = GameSceneDrawer._box(vertices)
+      if (faceScreen.min.x >= screen.max.x || screen.min.x >= faceScreen.max.x || faceScreen.min.y >= screen.max.y || screen.min.y >= faceScreen.max.y) {
+        return
+      }
+      const path = new Path(vertices)
+      if (!silhouette.some(other => Collisions.pathIntersection(path, other) > EPSILON)) {
+        return
+      }
+      if (GameSceneDrawer._isInFront(GameSceneDrawer._box(face.vertices), box)) {
+        firstInFront = Math.min(firstInFront, i)
+      } else {
+        lastBehind = i
+      }
+    })
+    // Both cannot hold with faces in a correct order, the mover then wins
+    return lastBehind < firstInFront ? firstInFront : lastBehind + 1
+  }
+
+  /**
+   * @param {Player} p
+   */
+  _playerCube (p) {
+    return new Prism(p.s)
+      .rotateY(p.rotation, p.s.cloneX())
+      .rotateZ(p.orientation, p.s.multiply(0.5))
+      .translate(p.position.substract(p.s.cloneXY().multiply(0.5)))
+  }
+
+  /**
+   * Whether `player` went down a hole so far that it faded away
+   * @param {Player} player
+   */
+  hasSunk (player) {
+    return player.position.z + player.side <= -this.settings.rendererTileHeight
+  }
+
+  /**
+   * Color of the player `i` of a game, the second one starting half way
+   * through the colors to tell them apart
+   * @param {Player} player
+   * @param {number} i
+   */
+  playerColorId (player, i) {
+    return player.level + i * Math.floor(this.settings.rendererPlayerColors.length / 2)
+  }
+
+  /**
+   * Draw a player of the `scene` on the `projectedContext`, or its ghost,
+   * see-through and without a shadow
+   * @param {ProjectedContext} projectedContext
+   * @param {GameScene} scene
+   * @param {Player} p
+   */
+  drawPlayer (projectedContext, scene, p) {
+    const ghost = p === scene.ghost
+    const cube = this._playerCube(p)
+
+    let color = this.settings.rendererGhostColor
+    if (!ghost) {
+      this.drawPlayerShadow(projectedContext, scene, p, cube)
+      color = this._transitionColor(scene, this.playerColorId(p, scene.players.indexOf(p)), p.levelSince)
+    }
+
+    // The faces turned to the viewer never overlap each other
+    const faces = cube.faces.filter(path => path.normal.dot(new Vect(1, 1, -1)) < 0).map(path => {
+      let faceColor = this._fadeBelowGround(this._faceColor(color, path.normal), p.position.z + p.side)
+      if (ghost) {
+        faceColor = faceColor.withAlpha(this.settings.rendererGhostOpacity)
+      }
+      return { vertices: path.vertices, color: faceColor.toString(), leftSide: null, solid: 1, covered: [] }
+    })
+    // Edges covered twice would show through a ghost
+    if (!ghost) {
+      GameSceneDrawer._coverSharedEdges(faces)
+    }
+    for (const face of faces) {
+      this._drawFace(projectedContext, face)
+    }
+  }
+
+  /**
+   * @param {ProjectedContext} projectedContext
+   * @param {GameScene} scene
+   * @param {Player} player
+   * @param {Solid} cube
+   */
+  drawPlayerShadow (projectedContext, scene, player, cube) {
+    const v = this.settings.rendererLightDirection
+
+    const shadowProjectionMatrix = new Matrix(
+      new Vect(1, 0, 0),
+      new Vect(0, 1, 0),
+      new Vect(-v.x / v.z, -v.y / v.z, 0)
+    )
+
+    const z = player.position.z
+    if (z < 0) {
+      return
+    }
+
+    const gravityCenter = player.position.add(player.s.cloneZ().multiply(0.5))
+    const projectedGravityCenter = shadowProjectionMatrix.product(gravityCenter)
+    const vertices = [].concat(...cube.faces.map(face => face.vertices)).map(p => shadowProjectionMatrix.product(p))
+
+    // The shadow falls farther away from the player as it goes down
+    const position = player.position
+    const reach = 2 + Math.ceil(z)
+    const tiles = scene.platforms.slice()
+    for (let y = Math.floor(position.y) - reach; y <= Math.floor(position.y) + reach; y++) {
+      for (let x = Math.floor(position.x) - reach; x <= Math.floor(position.x) + reach; x++) {
+        if (this._isTile(scene, x, y)) {
+          tiles.push(scene.tiles[y][x])
+        }
+      }
+    }
+    const levels = new Set(tiles.map(tile => tile.top()).filter(top => top <= z + EPSILON))
+
+    // One shadow on each level below the player, that only lands on the
+    // tops at that level
+    for (const level of levels) {
+      // Higher up, the shadow gets smaller and fainter
+      const t = Math.min((z - level) / this.settings.rendererShadowFadeHeight, 1) / 2
+      const offset = new Vect(v.x / v.z, v.y / v.z, 0).multiply(level)
+      const shadow = Collisions.convexHull(vertices.map(p => p.substract(projectedGravityCenter).multiply(1 - t).add(projectedGravityCenter).add(offset)))
+
+      const pieces = []
+      for (const tile of tiles.filter(tile => tile.top() === level)) {
+        const piece = Collisions.clip(shadow, tile.getCollisionPath().vertices)
+        if (piece.length >= 3) {
+          pieces.push(piece.map(p => this._project(projectedContext, p.x, p.y, level)))
+        }
+      }
+      if (pieces.length > 0) {
+        const color = this.settings.rendererDarkColor.withAlpha(this.settings.rendererShadowOpacity * (1 - t))
+        projectedContext.backend.fillPaths(pieces, color.toString())
+      }
+    }
+  }
+
+  /**
+   * @param {ProjectedContext} projectedContext
+   * @param {number} x
+   * @param {number} y
+   * @param {?number} z
+   */
+  _project (projectedContext, x, y, z = 0) {
+    return projectedContext.origin.add(projectedContext.projectionMatrix.product(new Vect(x, y, z)))
+  }
+
+  /**
+   * @param {GameScene} scene
+   * @param {number} x
+   * @param {number} y
+   */
+  _isTile (scene, x, y) {
+    if (!(y in scene.tiles && x in scene.tiles[y] && scene.tiles[y][x] instanceof Tile)) {
+      return false
+    }
+    const tile = scene.tiles[y][x]
+    return !(tile instanceof CrumblingTile && tile.hasFallen(scene.t))
+  }
+
+  /**
+   * @param {Color} color
+   * @param {Vect} normalVect
+   */
+  _faceColor (color, normalVect) {
+    return Color.scale(color, this.settings.rendererLightColor, this.settings.rendererDarkColor, this.settings.rendererBrightness, this.settings.rendererLightDirection.dot(normalVect))
+  }
+
+  /**
+   * @param {GameScene} scene
+   * @param {number} colorId
+   * @param {number} since When the color changed to this one
+   */
+  _transitionColor (scene, colorId, since = scene.lastPowerUpTime) {
+    const colors = this.settings.rendererPlayerColors
+    const dt = scene.t - since
+    let color = colors[colorId % colors.length]
+    if (colorId > 0 && since > 0 && dt < this.settings.rendererPowerUpAnimationDuration) {
+      color = Color.gradient(colors[(colorId - 1) % colors.length], color, dt / this.settings.rendererPowerUpAnimationDuration)
+    }
+    return color
+  }
+
+  /**
+   * @param {PowerUpTile} tile
+   * @param {GameScene} scene
+   */
+  _tileColor (scene, tile) {
+    // Speed power-ups show the color of the next level, the others their own
+    const isSpeed = tile.kind === 'speed'
+    if (tile.consumed) {
+      if (scene.t - tile.consumedSince >= this.settings.rendererPowerUpAnimationDuration) {
+        return this.settings.rendererGroundColor
+      }
+      const colors = this.settings.rendererPlayerColors
+      const color = isSpeed ? colors[(scene.powerUpColorId - 1) % colors.length] : this.settings.rendererPowerUpColors[tile.kind]
+      return Color.gradient(color, this.settings.rendererGroundColor, (scene.t - tile.consumedSince) / this.settings.rendererPowerUpAnimationDuration)
+    }
+    return isSpeed ? this._transitionColor(scene, scene.powerUpColorId) : this.settings.rendererPowerUpColors[tile.kind]
+  }
+
+  /**
+   * @param {ProjectedContext} projectedContext
+   * @param {{ vertices: Vect[]; color: string; leftSide: ?boolean; solid: number; covered: Vect[][]; }} face
+   */
+  _drawFace (projectedContext, face) {
+    /**
+     * @param {Vect[]} vertices
+     */
+    const project = vertices => vertices.map(v => this._project(projectedContext, v.x, v.y, v.z))
+    let fill = face.color
+    if (face.leftSide !== null) {
+      // Sides fade into the background, across their top edge, once below
+      // their solid part
+      const one = project(face.vertices)[0]
+      const height = face.vertices[0].z - face.vertices[3].z
+      const projectionMatrix = projectedContext.projectionMatrix
+      const gradientVect = face.leftSide ? projectionMatrix.product(new Vect(0, 1, 0)).rotateZ(PI / 2) : projectionMatrix.product(new Vect(1, 0, 0)).rotateZ(-PI / 2)
+      fill = new LinearGradient(
+        one.x,
+        one.y,
+        one.x + height * this.settings.rendererProjectionMatrix.w.y * gradientVect.x,
+        one.y + height * this.settings.rendererProjectionMatrix.w.y * gradientVect.y
+      )
+      fill.addColorStop(0, face.color)
+      // Solid down to there, when not fading all along
+      if (face.solid > 0) {
+        fill.addColorStop(face.solid, face.color)
+      }
+      fill.addColorStop(1, this.backgroundColor)
+    }
+    projectedContext.backend.fillPaths([face.vertices].concat(face.covered).map(project), fill)
+  }
+}
+
+class GameRenderer {
+  /**
+   * @param {RendererSettings} settings
+   * @param {Game} game
+   * @param {GameSceneDrawer} drawer
+   */
+  constructor (settings, game, drawer) {
+    this.settings = settings
+    this.game = game
+    this.drawer = drawer
+
+    this.offscreenDrawn = false
+    this.offscreenCameraOffset = 0
+    this.offscreenT = 0
+    this.resize()
+  }
+
+  resize () {
+    this.offscreenDrawn = false
+
+    const offscreenCanvas = this.settings.offscreenCanvasElement
+    offscreenCanvas.width = (this._projectionMatrix().product(new Vect(this.game.settings.gameWidth, 0, 0)).x + 2) * 2
+    offscreenCanvas.height = this.settings.canvasElement.height * this.settings.offscreenHeightRatio
+  }
+
+  directDraw () {
+    this._drawView(new Canvas2DBackend(this.settings.canvasContext))
+  }
+
+  /**
+   * The view of the screen as an SVG document
+   */
+  toSvg () {
+    const backend = new SvgBackend(this.settings.canvasElement.width, this.settings.canvasElement.height)
+    this._drawView(backend)
+    return backend.toString()
+  }
+
+  /**
+   * Draw the whole view of the screen at once, without the offscreen canvas
+   * @param {DrawingBackend} backend
+   */
+  _drawView (backend) {
+    const screenWidth = this.settings.canvasElement.width
+    const screenHeight = this.settings.canvasElement.height
+    const m3 = this._projectionMatrix()
+    const mm3 = this._invertedProjectionMatrix()
+
+    const origin = this._origin(m3)
+
+    const topRight = mm3.product(new Vect(screenWidth, 0, 0).substract(origin))
+    const bottomLeft = mm3.product(new Vect(0, screenHeight, 0).substract(origin))
+
+    const start = Math.floor(bottomLeft.x)
+    const end = Math.ceil(topRight.x)
+    this.game.generateWorld(start, end)
+
+    const projectedContext = new ProjectedContext(backend, m3, origin)
+    const scene = GameScene.fromGame(this.game)
+
+    this.drawer.drawScene(projectedContext, scene)
+  }
+
+  draw () {
+    const m3 = this._projectionMatrix()
+    const mm3 = this._invertedProjectionMatrix()
+
+    const lastPowerUpAt = this._lastPowerUpAt()
+    if (this.game.t - lastPowerUpAt < this.settings.rendererPowerUpAnimationDuration) {
+      this.directDraw()
+      if (!this._isOffscreenUpToDate(this.game.t + this.settings.rendererPowerUpAnimationDuration, m3)) {
+        setTimeout(() => this._drawOffscreen(lastPowerUpAt + this.settings.rendererPowerUpAnimationDuration, m3, mm3, 'animation'), 0)
+      }
+      return
+    }
+
+    // Falling players go behind the tiles
+    if (this.game.players.some(player => player.position.z < 0 && !this.drawer.hasSunk(player))) {
+      this.directDraw()
+      return
+    }
+
+    // Crumbling tiles move, the offscreen canvas is out of date afterwards
+    if (this.game.t < this.game.crumblingUntil + this.settings.rendererFallingAnimationDuration) {
+      this.directDraw()
+      this.offscreenDrawn = false
+      return
+    }
+
+    const cameraPosition = this.game.cameraPosition
+    const cameraOffset = -m3.product(new Vect(SQRT2 / 2, SQRT2 / 2, 0).multiply(cameraPosition)).y
+
+    if (!this._isOffscreenUpToDate(this.game.t, m3)) {
+      this._drawOffscreen(this.game.t, m3, mm3)
+    }
+
+    // Movers are drawn over the tiles, unless a tile may hide one
+    const scene = GameScene.fromGame(this.game)
+    const projectedContext = new ProjectedContext(new Canvas2DBackend(this.settings.canvasContext), m3, this._origin(m3))
+    if (this.drawer.isMoverHidden(projectedContext, scene)) {
+      this.directDraw()
+      return
+    }
+
+    const screenWidth = this.settings.canvasElement.width
+    const screenHeight = this.settings.canvasElement.height
+
+    const offscreenWidth = this.settings.offscreenCanvasElement.width
+    const offscreenHeight = this.settings.offscreenCanvasElement.height
+
+    const ctx = this.settings.canvasContext
+    const center = Math.floor(screenWidth / 2 - offscreenWidth / 2)
+
+    ctx.fillStyle = this.settings.rendererBackgroundColor.toString()
+    ctx.fillRect(0, 0, screenWidth, screenHeight)
+
+    ctx.drawImage(this.settings.offscreenCanvasElement, Math.max(0, -center), offscreenHeight - screenHeight + this.offscreenCameraOffset - cameraOffset, Math.min(screenWidth, offscreenWidth), screenHeight, Math.max(0, center), 0, Math.min(screenWidth, offscreenWidth), screenHeight)
+
+    this.drawer.drawMovers(projectedContext, scene)
+
+    const tNextFrame = this.game.t + this.settings.rendererMinimumTimeBetweenFrames
+
+    if (!this._isOffscreenUpToDate(tNextFrame, m3)) {
+      setTimeout(() => this._drawOffscreen(tNextFrame, m3, mm3, 'anticipation'), 0)
+    }
+  }
+
+  /**
+   * When a power-up was last eaten, by anyone, the tiles changing then
+   */
+  _lastPowerUpAt () {
+    return Math.max(...this.game.players.map(player => player.lastPowerUpAt))
+  }
+
+  /**
+   * Where the world origin is on the screen, the camera being where it is
+   * @param {Matrix} m3
+   */
+  _origin (m3) {
+    const screen = new Vect(this.settings.canvasElement.width / 2, this.settings.canvasElement.height, 0)
+    return screen.add(m3.product(new Vect(SQRT2 / 2, SQRT2 / 2, 0).multiply(-this.game.cameraPosition)))
+  }
+
+  /**
+   * Where a point of the world is drawn on the screen
+   * @param {Vect} v
+   */
+  toScreen (v) {
+    const m3 = this._projectionMatrix()
+    return this._origin(m3).add(m3.product(v))
+  }
+
+  /**
+   * The point of the world at height `z` that is drawn at (x, y) on the screen
+   * @param {number} x Canvas pixels
+   * @param {number} y Canvas pixels
+   * @param {number} z
+   */
+  fromScreen (x, y, z = 0) {
+    const m3 = this._projectionMatrix()
+    const up = new Vect(0, 0, z)
+    return this._invertedProjectionMatrix().product(new Vect(x, y, 0).substract(this._origin(m3)).substract(m3.product(up))).add(up)
+  }
+
+  _projectionMatrix () {
+    return this.settings.rendererProjectionMatrix.multiply(
+      this.settings.canvasElement.height /
+      (-(this.settings.rendererProjectionMatrix.u.y +
+        this.settings.rendererProjectionMatrix.v.y) *
+        this.settings.rendererTilesOnScreen)
+    )
+  }
+
+  _invertedProjectionMatrix () {
+    return this.settings.rendererInvertedProjectionMatrix.multiply(
+      (-(this.settings.rendererProjectionMatrix.u.y +
+        this.settings.rendererProjectionMatrix.v.y) *
+        this.settings.rendererTilesOnScreen) /
+      this.settings.canvasElement.height
+    )
+  }
+
+  _isOffscreenUpToDate (t, m3) {
+    const screenHeight = this.settings.canvasElement.height
+    const offscreenHeight = this.settings.offscreenCanvasElement.height
+    const cameraOffset = -m3.product(new Vect(SQRT2 / 2, SQRT2 / 2, 0).multiply(this.game.getCameraPosition(t))).y
+
+    return this.offscreenDrawn && cameraOffset > this.offscreenCameraOffset && cameraOffset < this.offscreenCameraOffset + offscreenHeight - screenHeight && this.offscreenT >= this._lastPowerUpAt() + this.settings.rendererPowerUpAnimationDuration
+  }
+
+  _drawOffscreen (t, m3, mm3, reason = '') {
+    console.log(t, reason)
+    const currentCameraOffset = -m3.product(new Vect(SQRT2 / 2, SQRT2 / 2, 0).multiply(this.game.getCameraPosition(this.game.t))).y
+    const cameraOffset = -m3.product(new Vect(SQRT2 / 2, SQRT2 / 2, 0).multiply(this.game.getCameraPosition(t))).y
+
+    this.offscreenDrawn = true
+    this.offscreenCameraOffset = cameraOffset
+    this.offscreenT = t
+
+    const offscreenWidth = this.settings.offscreenCanvasElement.width
+    const offscreenHeight = this.settings.offscreenCanvasElement.height
+
+    const currentOrigin = new Vect(offscreenWidth / 2, offscreenHeight, 0).add(new Vect(0, currentCameraOffset, 0))
+    const origin = new Vect(offscreenWidth / 2, offscreenHeight, 0).add(new Vect(0, cameraOffset, 0))
+
+    const currentTopRight = mm3.product(new Vect(offscreenWidth, 0, 0).substract(currentOrigin))
+    const currentBottomLeft = mm3.product(new Vect(0, offscreenHeight, 0).substract(currentOrigin))
+
+    const topRight = mm3.product(new Vect(offscreenWidth, 0, 0).substract(origin))
+    const bottomLeft = mm3.product(new Vect(0, offscreenHeight, 0).substract(origin))
+
+    const start = Math.floor(Math.min(bottomLeft.x, currentBottomLeft.x))
+    const end = Math.ceil(Math.max(topRight.x, currentTopRight.x))
+    this.game.generateWorld(start, end)
+
+    const scene = GameScene.fromGame(this.game)
+    scene.players = []
+    scene.platforms = []
+    scene.ghost = null
+    scene.t = t
+
+    this.drawer.drawScene(new ProjectedContext(new Canvas2DBackend(this.settings.offscreenCanvasContext), m3, origin), scene)
+  }
+}
+
+/**
+ * Draws the whole view every frame with WebGL, under a transparent canvas
+ * that keeps the user interface
+ *
+ * Drawing is cheap enough that no offscreen cache is needed
+ */
+class WebGLGameRenderer extends GameRenderer {
+  /**
+   * @param {RendererSettings} settings
+   * @param {Game} game
+   * @param {GameSceneDrawer} drawer
+   * @param {WebGLBackend} backend
+   */
+  constructor (settings, game, drawer, backend) {
+    super(settings, game, drawer)
+    this.backend = backend
+  }
+
+  resize () { }
+
+  draw () {
+    this.settings.canvasContext.clearRect(0, 0, this.settings.canvasElement.width, this.settings.canvasElement.height)
+    this.backend.clear()
+    this._drawView(this.backend)
+    this.backend.flush()
+  }
+}
+
+class Renderer {
+  /**
+   * @param {RendererSettings} settings
+   * @param {State} state
+   * @param {Object<string, Screen>} screens
+   */
+  constructor (settings, state, screens) {
+    this.settings = settings
+    this.state = state
+    this.screens = screens
+    this.gameSceneDrawer = new GameSceneDrawer(settings)
+    this.gameRenderer = null
+    this.webGLBackend = null
+    if (settings.worldContext !== null) {
+      try {
+        this.webGLBackend = new WebGLBackend(settings.worldContext)
+      } catch (e) {
+        // Canvas2D draws everything, as without WebGL
+      }
+    }
+  }
+
+  resize () {
+    if (this.gameRenderer instanceof GameRenderer) {
+      this.gameRenderer.resize()
+    }
+  }
+
+  settingsChanged () {
+    this.gameSceneDrawer.computeColors()
+    this.resize()
+  }
+
+  /**
+   * @param {function} updateCallback
+   */
+  render (updateCallback) {
+    let fps = 0
+    let frames = 0
+
+    let t0 = performance.now()
+    /**
+     * @param {number} t
+     */
+    const frame = /**
+     * @param {number} t
+     */
+      t => {
+        if (Math.floor(t / 1000) > Math.floor(t0 / 1000)) {
+          fps = frames
+          frames = 0
+        }
+        // After a stall, such as a tab in the background, the game must not
+        // jump seconds ahead at once
+        const dt = Math.min((t - t0) / 1000, this.settings.rendererMaximumTimeBetweenFrames)
+        updateCallback(dt)
+        this.frame()
+        frames++
+        this.settings.canvasContext.font = '50px "Segoe UI Semibold"'
+        this.settings.canvasContext.fillStyle = this.settings.rendererTextColor.toString()
+        this.settings.canvasContext.fillText(fps.toString(), 50, 50)
+        t0 = t
+        requestAnimationFrame(frame)
+      }
+
+    this.frame()
+    requestAnimationFrame(frame)
+  }
+
+  frame () {
+    this.drawGameScene()
+    this.drawUserInterface()
+  }
+
+  drawGameScene () {
+    if (!(this.state.game instanceof Game)) {
+      this.settings.canvasContext.fillStyle = this.settings.rendererBackgroundColor.toString()
+      this.settings.canvasContext.fillRect(0, 0, this.settings.canvasElement.width, this.settings.canvasElement.height)
+      return
+    }
+    if (!(this.gameRenderer instanceof GameRenderer) || this.gameRenderer.game !== this.state.game) {
+      this.gameRenderer = this.webGLBackend !== null
+        ? new WebGLGameRenderer(this.settings, this.state.game, this.gameSceneDrawer, this.webGLBackend)
+        : new GameRenderer(this.settings, this.state.game, this.gameSceneDrawer)
+    }
+    this.gameRenderer.draw()
+  }
+
+  /**
+   * Draw the current screen, sliding in while the previous one fades out
+   */
+  drawUserInterface () {
+    const ctx = this.settings.canvasContext
+    const duration = this.settings.rendererMenuAnimationDuration
+    const t = duration > 0 ? Math.min(1, (this.state.t - this.state.screenSince) / duration) : 1
+    const progress = 1 - (1 - t) ** 2
+
+    if (progress < 1 && this.state.previousScreen !== null) {
+      ctx.save()
+      ctx.globalAlpha = 1 - progress
+      this.screens[this.state.previousScreen].draw(ctx)
+      ctx.restore()
+    }
+
+    ctx.save()
+    ctx.globalAlpha = progress
+    ctx.translate(Math.round((1 - progress) * 100), 0)
+    this.screens[this.state.screen].draw(ctx)
+    ctx.restore()
+  }
+}
+
+/**
+ * Virtual joystick and jump button for touch screens
+ *
+ * Positions are in CSS pixels, as given by touch events
+ */
+class Joystick {
+  /**
+   * @param {RendererSettings} settings
+   */
+  constructor (settings) {
+    this.settings = settings
+    this.pad = false
+    this.padCenter = Vect.ZERO
+    this.padEnd = Vect.ZERO
+    /** @type {?number} */
+    this.padFinger = null
+    this.jump = false
+    /** @type {?number} */
+    this.jumpFinger = null
+  }
+
+  /**
+   * Direction in the game world, the same way W, A, S and D map to it
+   */
+  getDirection () {
+    const v = this.padEnd.substract(this.padCenter)
+    if (!this.pad || v.length() < this.settings.inputJoystickRadius * this.settings.inputJoystickDeadzone) {
+      return Vect.ZERO
+    }
+    return GameInputs.directionFromScreen(v.x, v.y)
+  }
+
+  /**
+   * The pad follows the first finger on the left half of the screen,
+   * any finger on the right half presses the jump button
+   * @param {TouchEvent} e
+   */
+  touchStartHandler (e) {
+    for (const t of e.changedTouches) {
+      const position = new Vect(t.pageX, t.pageY, 0)
+      if (t.pageX < this.settings.window.innerWidth / 2) {
+        if (!this.pad) {
+          this.pad = true
+          this.padCenter = position
+          this.padEnd = position
+          this.padFinger = t.identifier
+        }
+      } else if (!this.jump) {
+        this.jump = true
+        this.jumpFinger = t.identifier
+      }
+    }
+  }
+
+  /**
+   * @param {TouchEvent} e
+   */
+  touchMoveHandler (e) {
+    for (const t of e.changedTouches) {
+      if (t.identifier === this.padFinger) {
+        this.padEnd = new Vect(t.pageX, t.pageY, 0)
+      }
+    }
+  }
+
+  /**
+   * @param {TouchEvent} e
+   */
+  touchEndHandler (e) {
+    for (const t of e.changedTouches) {
+      if (t.identifier === this.padFinger) {
+        this.pad = false
+        this.padFinger = null
+      } else if (t.identifier === this.jumpFinger) {
+        this.jump = false
+        this.jumpFinger = null
+      }
+    }
+  }
+
+  /**
+   * @param {CanvasRenderingContext2D} ctx
+   */
+  draw (ctx) {
+    const ratio = this.settings.window.devicePixelRatio
+    const radius = this.settings.inputJoystickRadius
+    const w = this.settings.window.innerWidth
+    const h = this.settings.window.innerHeight
+
+    /**
+     * @param {Vect} center
+     * @param {number} r
+     * @param {string} color
+     */
+    const circle = (center, r, color) => {
+      ctx.fillStyle = color
+      ctx.beginPath()
+      ctx.arc(center.x * ratio, center.y * ratio, r * ratio, 0, 2 * PI)
+      ctx.fill()
+    }
+
+    // The pad rests in the bottom left corner until a finger grabs it
+    const center = this.pad ? this.padCenter : new Vect(2 * radius, h - 2 * radius, 0)
+    let knob = this.pad ? this.padEnd.substract(this.padCenter) : Vect.ZERO
+    if (knob.length() > radius) {
+      knob = knob.normalize().multiply(radius)
+    }
+    const color = this.settings.rendererTextColor
+    circle(center, radius, color.withAlpha(0.15).toString())
+    circle(center.add(knob), radius / 2, color.withAlpha(this.pad ? 0.5 : 0.3).toString())
+
+    circle(new Vect(w - 2 * radius, h - 2 * radius, 0), radius * 3 / 4, color.withAlpha(this.jump ? 0.5 : 0.2).toString())
+  }
+}
+
+/**
+ * Controllers plugged in, polled every frame through the Gamepad API
+ *
+ * Standard mapping: left stick or d-pad to move, A to jump, and in menus
+ * A to confirm, B to go back and Start to pause
+ */
+class Gamepads {
+  /**
+   * @param {RendererSettings} settings
+   */
+  constructor (settings) {
+    this.settings = settings
+    this.direction = Vect.ZERO
+    this.jump = false
+    // Commands whose buttons went down during the last poll
+    /** @type {string[]} */
+    this.commands = []
+    /** @type {Object<string, boolean>} */
+    this.held = {}
+  }
+
+  poll () {
+    const navigator = this.settings.window.navigator
+    const gamepads = typeof navigator.getGamepads === 'function' ? navigator.getGamepads() : []
+
+    let x = 0
+    let y = 0
+    let jump = false
+    const held = { up: false, down: false, left: false, right: false, confirm: false, back: false, start: false }
+    for (const gamepad of gamepads) {
+      if (gamepad === null || !gamepad.connected) {
+        continue
+      }
+      /** @param {number} i */
+      const pressed = i => i < gamepad.buttons.length && gamepad.buttons[i].pressed
+
+      // Left stick, with a radial deadzone
+      const stick = new Vect(gamepad.axes[0] || 0, gamepad.axes[1] || 0, 0)
+      if (stick.length() > this.settings.inputGamepadDeadzone) {
+        x += stick.x
+        y += stick.y
+      }
+      // D-pad: up, down, left, right
+      y += (pressed(13) ? 1 : 0) - (pressed(12) ? 1 : 0)
+      x += (pressed(15) ? 1 : 0) - (pressed(14) ? 1 : 0)
+
+      jump = jump || pressed(0)
+
+      held.up = held.up || pressed(12) || stick.y < -0.5
+      held.down = held.down || pressed(13) || stick.y > 0.5
+      held.left = held.left || pressed(14) || stick.x < -0.5
+      held.right = held.right || pressed(15) || stick.x > 0.5
+      held.confirm = held.confirm || pressed(0)
+      held.back = held.back || pressed(1)
+      held.start = held.start || pressed(9)
+    }
+
+    this.direction = GameInputs.directionFromScreen(x, y)
+    this.jump = jump
+    this.commands = Object.keys(held).filter(command => held[command] && !this.held[command])
+    this.held = held
+  }
+}
+
+/**
+ * State of the keyboard, read through a table of key bindings
+ *
+ * A binding is either a lowercase character, which follows the keyboard
+ * layout, or a `KeyboardEvent.code` for keys that do not print anything
+ */
+class UserInputs {
+  /**
+   * @param {Object<string, string[]>} bindings
+   */
+  constructor (bindings = UserInputs.defaultBindings()) {
+    this.keyJump = false
+    this.keyUp = false
+    this.keyDown = false
+    this.keyLeft = false
+    this.keyRight = false
+    this.keyReplay = false
+    this.keyPause = false
+
+    this.bindings = bindings
+    // Actions of the keys held down, by code: modifiers pressed in between
+    // change the key, and would leave the action on when it is released
+    /** @type {Object<string, string[]>} */
+    this.held = {}
+  }
+
+  /**
+   * WASD for QWERTY keyboards, ZQSD for AZERTY ones, and arrows for everyone
+   */
+  static defaultBindings () {
+    return {
+      keyUp: ['w', 'z', 'ArrowUp'],
+      keyDown: ['s', 'ArrowDown'],
+      keyLeft: ['a', 'q', 'ArrowLeft'],
+      keyRight: ['d', 'ArrowRight'],
+      keyJump: ['Space'],
+      keyReplay: ['r'],
+      keyPause: ['p']
+    }
+  }
+
+  /**
+   * Two players share the keyboard: WASD (or ZQSD) and Space for the first
+   * one, arrows and Enter for the second one
+   * @param {number} i Which player
+   */
+  static twoPlayersBindings (i) {
+    const bindings = i === 0
+      ? { keyUp: ['w', 'z'], keyDown: ['s'], keyLeft: ['a', 'q'], keyRight: ['d'], keyJump: ['Space'] }
+      : { keyUp: ['ArrowUp'], keyDown: ['ArrowDown'], keyLeft: ['ArrowLeft'], keyRight: ['ArrowRight'], keyJump: ['Enter'] }
+    return Object.assign(bindings, { keyReplay: [], keyPause: [] })
+  }
+
+  /**
+   * @param {KeyboardEvent} e
+   */
+  static bindingOf (e) {
+    return e.key.length === 1 && e.key !== ' ' ? e.key.toLowerCase() : e.code
+  }
+
+  /**
+   * Names of the keys bound to the key of `e`
+   * @param {KeyboardEvent} e
+   */
+  actionsOf (e) {
+    const binding = UserInputs.bindingOf(e)
+    return Object.keys(this.bindings).filter(action =>
+      this.bindings[action].indexOf(binding) !== -1 || this.bindings[action].indexOf(e.code) !== -1
+    )
+  }
+
+  /**
+   * Update the state of the keys bound to the key of `e`
+   * @param {KeyboardEvent} e
+   * @param {boolean} pressed
+   * @returns {boolean} Whether the key is bound to anything
+   */
+  press (e, pressed) {
+    let actions = this.actionsOf(e)
+    if (pressed) {
+      this.held[e.code] = actions
+    } else if (e.code in this.held) {
+      actions = this.held[e.code]
+      delete this.held[e.code]
+    }
+    for (const action of actions) {
+      this[action] = pressed
+    }
+    return actions.length > 0
+  }
+
+  /**
+   * Add `binding` to `action`, removing it from any other action
+   * @param {string} action
+   * @param {string} binding
+   */
+  bind (action, binding) {
+    for (const other in this.bindings) {
+      this.bindings[other] = this.bindings[other].filter(b => b !== binding)
+    }
+    this.bindings[action].push(binding)
+  }
+
+  /**
+   * @param {SavedData} savedData
+   */
+  save (savedData) {
+    savedData.save('bindings', this.bindings)
+  }
+
+  /**
+   * Saved bindings, falling back on the default ones for anything missing
+   * @param {SavedData} savedData
+   */
+  static load (savedData) {
+    const bindings = UserInputs.defaultBindings()
+    const saved = savedData.load('bindings', {})
+    for (const action in bindings) {
+      if (saved !== null && Array.isArray(saved[action]) && saved[action].every(b => typeof b === 'string')) {
+        bindings[action] = saved[action]
+      }
+    }
+    return new UserInputs(bindings)
+  }
+}
+
+/**
+ * JSON values kept in localStorage, that may as well be unavailable
+ */
+class SavedData {
+  /**
+   * @param {Window} window
+   */
+  constructor (window) {
+    this.window = window
+    this.prefix = 'lePireCube.'
+  }
+
+  /**
+   * @param {string} key
+   * @param {any} fallback Returned when nothing valid is saved
+   */
+  load (key, fallback) {
+    try {
+      const value = this.window.localStorage.getItem(this.prefix + key)
+      return value === null ? fallback : JSON.parse(value)
+    } catch (e) {
+      return fallback
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @param {any} value
+   */
+  save (key, value) {
+    try {
+      this.window.localStorage.setItem(this.prefix + key, JSON.stringify(value))
+    } catch (e) {
+      // Private browsing or full storage: the value only lasts this session
+    }
+  }
+
+  /**
+   * @param {string} key
+   */
+  remove (key) {
+    try {
+      this.window.localStorage.removeItem(this.prefix + key)
+    } catch (e) {
+      // Private browsing: there is nothing to remove
+    }
+  }
+}
+
+/**
+ * Best scores ever made on this browser, best first
+ */
+class HighScores {
+  /**
+   * @param {SavedData} savedData
+   * @param {number} size Number of scores kept
+   * @param {number} ghosts Number of recordings kept, those of the best runs on the best seeds
+   */
+  constructor (savedData, size, ghosts) {
+    this.savedData = savedData
+    this.size = size
+    this.ghosts = ghosts
+    /** @type {{ score: number; date: number; seed: number; level: number; }[]} */
+    const saved = savedData.load('highScores', [])
+    // Recordings used to be saved in the table, they are left out
+    this.entries = (Array.isArray(saved) ? saved : []).filter(entry =>
+      entry !== null && ['score', 'date', 'seed', 'level'].every(key => typeof entry[key] === 'number')
+    ).slice(0, size).map(({ score, date, seed, level }) => ({ score, date, seed, level }))
+  }
+
+  /**
+   * Insert a score and save the table
+   *
+   * Recordings are saved each on their own, so that a full storage only
+   * loses them, not the table. Only the best run on each of the best
+   * seeds keeps its recording, for its ghost
+   * @param {{ score: number; date: number; seed: number; level: number; }} entry
+   * @param {?InputRecording} recording
+   * @returns {number} Rank of the entry, -1 if it is not good enough
+   */
+  add (entry, recording = null) {
+    let rank = this.entries.findIndex(other => entry.score > other.score)
+    if (rank === -1) {
+      rank = this.entries.length
+    }
+    if (rank >= this.size) {
+      return -1
+    }
+    const ghostSeeds = this._ghostSeeds()
+    this.entries.splice(rank, 0, entry)
+    this.entries = this.entries.slice(0, this.size)
+    this.savedData.save('highScores', this.entries)
+
+    if (recording !== null && this._ghostSeeds().includes(entry.seed) && this.entries.findIndex(other => other.seed === entry.seed) === rank) {
+      this.savedData.save(`ghost.${entry.seed}`, recording)
+    }
+    for (const seed of ghostSeeds) {
+      if (!this._ghostSeeds().includes(seed)) {
+        this.savedData.remove(`ghost.${seed}`)
+      }
+    }
+    return rank
+  }
+
+  /**
+   * Recording of the best run on `seed`, if it is kept
+   * @param {number} seed
+   * @returns {?InputRecording}
+   */
+  bestRun (seed) {
+    if (!this.hasBestRun(seed)) {
+      return null
+    }
+    try {
+      const saved = this.savedData.load(`ghost.${seed}`, null)
+      return saved === null ? null : InputRecording.fromJSON(saved)
+    } catch (e) {
+      return null
+    }
+  }
+
+  /**
+   * Whether the best run on `seed` keeps its recording, without reading it
+   * @param {number} seed
+   */
+  hasBestRun (seed) {
+    return this._ghostSeeds().includes(seed)
+  }
+
+  /**
+   * Seeds whose best run keeps its recording, best first
+   */
+  _ghostSeeds () {
+    return [...new Set(this.entries.map(entry => entry.seed))].slice(0, this.ghosts)
+  }
+
+  /**
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {RendererSettings} settings
+   * @param {number} top
+   * @param {number} highlighted Rank drawn in `highlightColor`, -1 for none
+   * @param {string} highlightColor
+   */
+  draw (ctx, settings, top, highlighted, highlightColor) {
+    const mutedColor = settings.rendererMutedTextColor.toString()
+    ctx.fillStyle = settings.rendererTextColor.toString()
+    ctx.fillText('High scores', 100, top)
+    if (this.entries.length === 0) {
+      ctx.fillStyle = mutedColor
+      ctx.fillText('Nothing yet', 100, top + 40)
+    }
+    this.entries.forEach((entry, i) => {
+      const date = new Date(entry.date).toLocaleDateString()
+      ctx.fillStyle = i === highlighted ? highlightColor : mutedColor
+      ctx.fillText(`${i + 1}. ${entry.score}   level ${entry.level}   seed ${entry.seed}   ${date}`, 100, top + 40 * (i + 1))
+    })
+  }
+}
+
+/**
+ * Settings that can be changed from the settings screen, and saved
+ *
+ * Values are shown and saved in their own unit, `scale` converts them back
+ * to the unit of the settings. Toggles are switched on and off
+ */
+class SettingsEditor {
+  /**
+   * @param {RendererSettings} settings
+   * @param {SavedData} savedData
+   */
+  constructor (settings, savedData) {
+    this.settings = settings
+    this.savedData = savedData
+    /** @type {{ name: string; label: string; min?: number; max?: number; step?: number; scale?: number; toggle?: boolean; live: boolean; }[]} */
+    this.tunables = [
+      // Games take a copy of their settings, these only change the next ones
+      { name: 'gameWidth', label: 'Track width', min: 3, max: 12, step: 1, scale: 1, live: false },
+      { name: 'gameInitialVelocity', label: 'Initial speed', min: 0.5, max: 3, step: 0.1, scale: SQRT2, live: false },
+      { name: 'gameAcceleration', label: 'Acceleration', min: 0, max: 0.5, step: 0.05, scale: SQRT2, live: false },
+      { name: 'gameTimeBetweenPowerUps', label: 'Time between power-ups', min: 3, max: 30, step: 1, scale: 1, live: false },
+      { name: 'gameDeathZone', label: 'Death zone', min: 1, max: 10, step: 1, scale: 1, live: false },
+      { name: 'gamePlayersCollide', label: 'Two players collide', toggle: true, live: false },
+      { name: 'rendererTilesOnScreen', label: 'Tiles on screen', min: 8, max: 30, step: 1, scale: 1, live: true },
+      { name: 'rendererTileHeight', label: 'Tile height', min: 0.5, max: 5, step: 0.5, scale: 1, live: true },
+      { name: 'rendererBrightness', label: 'Brightness', min: 0, max: 1, step: 0.05, scale: 1, live: true },
+      { name: 'rendererMenuAnimationDuration', label: 'Menu animations', min: 0, max: 1, step: 0.1, scale: 1, live: true },
+      { name: 'rendererGhostOpacity', label: 'Ghost of the best run', min: 0, max: 1, step: 0.05, scale: 1, live: true }
+    ]
+    /** @type {Object<string, number|boolean>} */
+    this.defaults = {}
+    for (const tunable of this.tunables) {
+      this.defaults[tunable.name] = this.get(tunable)
     }
-    this.viewportStart = start
-    this.viewportEnd = end
-    return this.tiles
+    this.defaultTheme = settings.rendererTheme
+    // Loaded from files, saved along the settings
+    /** @type {Object[]} */
+    this.themes = []
   }
 
   /**
-   * Return a list of the tiles the player is stepping on
-   * Empty <=> player is in the air
+   * Make a theme available, now and on the next visits
+   * @param {any} json Checked by Theme
+   * @returns {Theme}
    */
-  playerIsOnTheseTiles () {
-    const p = this.player
-    const playerPath = p.getCollisionPath()
+  addTheme (json) {
+    const theme = new Theme(json)
+    this.settings.addTheme(theme)
+    this.themes = this.themes.filter(other => other.name !== theme.name).concat([json])
+    this.savedData.save('themes', this.themes)
+    return theme
+  }
 
-    let left = Math.floor(playerPath.vertices[0].x)
-    let right = left
-    let bottom = Math.floor(playerPath.vertices[0].y)
-    let top = bottom
+  /**
+   * Switch to the next or previous theme
+   * @param {number} steps
+   */
+  changeTheme (steps) {
+    const themes = this.settings.rendererThemes
+    const i = themes.findIndex(theme => theme.name === this.settings.rendererTheme)
+    this.settings.theme(themes[(i + steps + themes.length) % themes.length].name)
+  }
 
-    const theseTiles = []
+  /**
+   * @param {{ name: string; scale?: number; toggle?: boolean; }} tunable
+   * @returns {number|boolean}
+   */
+  get (tunable) {
+    return tunable.toggle ? this.settings[tunable.name] : this.settings[tunable.name] / tunable.scale
+  }
 
-    for (const vertex of playerPath.vertices) {
-      const x = Math.floor(vertex.x)
-      const y = Math.floor(vertex.y)
-      left = Math.min(left, x)
-      right = Math.max(right, x)
-      bottom = Math.min(bottom, y)
-      top = Math.max(top, y)
-      if (y in this.tiles && x in this.tiles[y] && this.tiles[y][x] instanceof Tile && theseTiles.indexOf(this.tiles[y][x]) === -1) {
-        theseTiles.push(this.tiles[y][x])
+  /**
+   * Set a value, brought back within the range and on a step
+   * @param {{ name: string; min?: number; max?: number; step?: number; scale?: number; toggle?: boolean; }} tunable
+   * @param {any} value
+   * @returns {boolean} Whether the value was valid
+   */
+  set (tunable, value) {
+    if (tunable.toggle) {
+      if (typeof value !== 'boolean') {
+        return false
       }
+      this.settings[tunable.name] = value
+      return true
     }
-
-    for (let y = bottom; y <= top; y++) {
-      for (let x = left; x <= right; x++) {
-        if (y in this.tiles && x in this.tiles[y] && this.tiles[y][x] instanceof Tile) {
-          const corner = [new Vect(x, y, 0), new Vect(x + 1, y, 0), new Vect(x, y + 1, 0), new Vect(x + 1, y + 1, 0)].reduce((u, v) => p.position.substract(u).lengthSquared() < p.position.substract(v).lengthSquared() ? u : v)
-
-          if (theseTiles.indexOf(this.tiles[y][x]) === -1 && Collisions.isPointInPath(corner, playerPath)) {
-            theseTiles.push(this.tiles[y][x])
-          }
-        }
-      }
+    if (typeof value !== 'number' || !isFinite(value)) {
+      return false
     }
+    value = Math.min(Math.max(value, tunable.min), tunable.max)
+    value = Number((Math.round((value - tunable.min) / tunable.step) * tunable.step + tunable.min).toFixed(6))
+    this.settings[tunable.name] = value * tunable.scale
+    return true
+  }
 
-    return theseTiles
+  /**
+   * Any step switches a toggle
+   * @param {{ name: string; min?: number; max?: number; step?: number; scale?: number; toggle?: boolean; }} tunable
+   * @param {number} steps
+   */
+  change (tunable, steps) {
+    this.set(tunable, tunable.toggle ? !this.get(tunable) : this.get(tunable) + steps * tunable.step)
   }
 
   /**
-   * Update the game state for a given number of seconds
-   * @param {number} elapsedTime
+   * @param {{ name: string; step?: number; scale?: number; toggle?: boolean; }} tunable
    */
-  update (elapsedTime) {
-    let direction = this.inputs.direction
-    if (direction.lengthSquared() > 0) {
-      direction = direction.normalize()
+  format (tunable) {
+    if (tunable.toggle) {
+      return this.get(tunable) ? 'on' : 'off'
     }
+    const decimals = (tunable.step.toString().split('.')[1] || '').length
+    return this.get(tunable).toFixed(decimals)
+  }
 
-    // Figure out next event
-    const dts = [elapsedTime]
-    let dtRotation = 0
-    let dtFalling = 0
-    let dtOrientation = 0
+  reset () {
+    for (const tunable of this.tunables) {
+      this.set(tunable, this.defaults[tunable.name])
+    }
+    this.settings.theme(this.defaultTheme)
+  }
 
-    // Checking rotation
-    if (this.player.inRotation) {
-      dtRotation = (PI / 2 - this.player.rotation) / this.player.rotationAngularVelocity
-      dts.push(dtRotation)
+  save () {
+    /** @type {Object<string, number|boolean|string>} */
+    const values = { rendererTheme: this.settings.rendererTheme }
+    for (const tunable of this.tunables) {
+      values[tunable.name] = this.get(tunable)
     }
-    // Checking player's height
-    if (this.player.inAir) {
-      dtFalling = -2 * this.player.velocity.z / this.player.acceleration.z - (this.t - this.player.inAirSince)
-      if (dtFalling > EPSILON) {
-        dts.push(dtFalling)
+    this.savedData.save('settings', values)
+  }
+
+  /**
+   * Apply the saved values, the invalid ones are left out
+   */
+  load () {
+    const themes = this.savedData.load('themes', [])
+    for (const json of Array.isArray(themes) ? themes : []) {
+      try {
+        this.addTheme(json)
+      } catch (e) {
+        // Left out, like the invalid values
       }
     }
-    // Checking orientation
-    let orientationClockwise = false
-    let angle = 0
-    if (direction.lengthSquared() > 0) {
-      angle = Math.atan2(direction.y, direction.x)
-      if (!this.player.inRotation && Math.abs((angle - this.player.orientation) % (PI / 2)) > EPSILON) {
-        const diff = Math.abs(angle - this.player.orientation) % (PI / 2)
-        if (angle < this.player.orientation) {
-          orientationClockwise = !orientationClockwise
-        }
-        const dtClockwise = diff / this.player.orientationAngularVelocity
-        const dtCounterclockwise = ((PI / 2) - diff) / this.player.orientationAngularVelocity
-        dtOrientation = dtClockwise
-        if (dtCounterclockwise < dtClockwise) {
-          dtOrientation = dtCounterclockwise
-          orientationClockwise = !orientationClockwise
-        }
-        dts.push(dtOrientation)
+    const values = this.savedData.load('settings', {})
+    for (const tunable of this.tunables) {
+      if (values !== null && tunable.name in values) {
+        this.set(tunable, values[tunable.name])
       }
     }
-
-    // Picking the closest event
-    const dt = Math.min(...dts)
-    this.t += dt
-
-    // Finishind rotation
-    if (dt === dtRotation) {
-      this.player.endRotation()
-    } else if (this.player.inRotation) {
-      this.player.updateRotation(this.t)
-    }
-
-    // Reaching the ground
-    if (dt === dtFalling) {
-      this.player.resetAltitude()
-    } else if (this.player.inAir) {
-      this.player.updateAltitude(this.t)
-    }
-
-    // Reaching correct orientation
-    if (dt === dtOrientation) {
-      this.player.setOrientation(angle)
+    if (values !== null && typeof values.rendererTheme === 'string' && this.settings.findTheme(values.rendererTheme) !== null) {
+      this.settings.theme(values.rendererTheme)
     }
+  }
+}
 
-    // We have to check collisions now
-    if (this.player.position.z === 0) {
-      const tiles = this.playerIsOnTheseTiles()
-      if (tiles.length > 0) {
-        this.player.land()
-
-        if (!this.player.inRotation) {
-          for (const tile of tiles) {
-            if (tile instanceof PowerUpTile && !tile.consumed) {
-              this.player.eatPowerUp(this.t)
-              tile.consumed = true
-              tile.consumedSince = this.t
-            }
-          }
-        }
-      } else if (!this.player.inAir) {
-        this.player.setInAir(this.t)
-      }
+/**
+ * List of the key bindings, as shown in the settings screen
+ *
+ * Its own navigation keys are not bindable: arrows and Enter to pick an
+ * action, any key to bind it, Backspace to clear it, Escape to leave
+ */
+class BindingsMenu {
+  /**
+   * @param {UserInputs} inputs
+   */
+  constructor (inputs) {
+    this.inputs = inputs
+    this.labels = {
+      keyUp: 'Up',
+      keyDown: 'Down',
+      keyLeft: 'Left',
+      keyRight: 'Right',
+      keyJump: 'Jump',
+      keyReplay: 'Replay',
+      keyPause: 'Pause'
     }
+    // The last row resets the bindings
+    this.rows = Object.keys(this.labels).concat(['reset'])
+    this.selected = 0
+    this.listening = false
+    this.closed = false
+  }
 
-    // Examining inputs
-    if (this.inputs.jump || this.jumpQueued) {
-      if (!this.player.inAir && !this.player.inRotation) {
-        this.jumpQueued = false
-        this.player.jump(this.t)
-      } else if (!this.player.inAir) {
-        this.jumpQueued = true
+  /**
+   * @param {KeyboardEvent} e
+   */
+  keyDownHandler (e) {
+    const row = this.rows[this.selected]
+    if (this.listening) {
+      if (e.code !== 'Escape') {
+        this.inputs.bind(row, UserInputs.bindingOf(e))
       }
+      this.listening = false
+    } else if (e.code === 'Escape') {
+      this.closed = true
+    } else if (e.code === 'ArrowUp') {
+      this.selected = (this.selected + this.rows.length - 1) % this.rows.length
+    } else if (e.code === 'ArrowDown') {
+      this.selected = (this.selected + 1) % this.rows.length
+    } else if (e.code === 'Enter' && row === 'reset') {
+      this.inputs.bindings = UserInputs.defaultBindings()
+    } else if (e.code === 'Enter') {
+      this.listening = true
+    } else if (e.code === 'Backspace' && row !== 'reset') {
+      this.inputs.bindings[row] = []
     }
+  }
 
-    // Changing orientation
-    if (direction.lengthSquared() > 0 && !this.player.inRotation) {
-      if (Math.abs((angle - this.player.orientation) % (PI / 2)) < EPSILON) {
-        this.player.setOrientation(angle)
-        if (!this.player.inAir) {
-          this.player.beginRotation(this.t)
-        }
-      } else {
-        const sign = orientationClockwise ? -1 : 1
-        this.player.setOrientation(this.player.orientation + sign * dt * this.player.orientationAngularVelocity)
-      }
-      if (this.player.position.z >= 0) {
-        this.player.flyTowards(direction, dt)
+  /**
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {RendererSettings} settings
+   */
+  draw (ctx, settings) {
+    const textColor = settings.rendererTextColor.toString()
+    const mutedColor = settings.rendererMutedTextColor.toString()
+    ctx.font = '26px "Segoe UI Semibold"'
+    this.rows.forEach((row, i) => {
+      let text = 'Reset to defaults'
+      if (row !== 'reset') {
+        const keys = this.inputs.bindings[row].map(b => b.length === 1 ? b.toUpperCase() : b)
+        text = `${this.labels[row]}: ${this.listening && i === this.selected ? 'press a key...' : keys.join(', ')}`
       }
-    }
+      ctx.fillStyle = i === this.selected ? textColor : mutedColor
+      ctx.fillText((i === this.selected ? '> ' : '  ') + text, 100, 200 + 40 * i)
+    })
+    ctx.fillStyle = mutedColor
+    ctx.fillText('Enter to bind, Backspace to clear, Esc to leave', 100, 240 + 40 * this.rows.length)
+  }
+}
 
-    // Compute camera position
-    this.cameraPosition = this.getCameraPosition(this.t)
+/**
+ * A screen of the game: what is drawn over the scene, and what inputs do
+ *
+ * Screens receive commands, whatever the device: up, down, left, right,
+ * confirm, back, start, pause and replay
+ */
+class Screen {
+  /**
+   * @param {Main} main
+   */
+  constructor (main) {
+    this.main = main
+    this.settings = main.settings
+    this.state = main.state
+    // Whether the game goes on behind this screen
+    this.runsGame = false
+  }
 
-    // Compute score
-    const distance = new Vect(SQRT2 / 2, SQRT2 / 2, 0).dot(this.player.position)
-    this.score = Math.max(this.score, Math.floor(distance - new Vect(SQRT2 / 2, SQRT2 / 2, 0).dot(this.settings.playerInitialPosition)))
+  /**
+   * Called every time the screen is shown
+   */
+  enter () { }
 
-    // this.cameraPosition = distance - 5 + this.player.side * this.player.rotation / (PI / 2) * Math.sin(this.player.orientation + PI / 4)
+  /**
+   * @param {number} dt
+   */
+  update (dt) { }
 
-    // ded?
-    if (!this.gameOver && (distance < this.cameraPosition - this.settings.gameDeathZone || this.player.position.z < -EPSILON)) {
-      this.gameOver = true
-      this.gameOverAt = this.t
-    }
+  /**
+   * @param {string} command
+   */
+  command (command) { }
 
-    // Do we need to compute another event?
-    if (elapsedTime - dt > EPSILON) {
-      return this.update(elapsedTime - dt)
-    }
+  /**
+   * Raw keys, before they are turned into commands
+   * @param {KeyboardEvent} e
+   * @returns {boolean} Whether the key was used
+   */
+  keyDownHandler (e) {
+    return false
   }
 
   /**
-   * @param {number} t
+   * @param {number} x Canvas pixels
+   * @param {number} y Canvas pixels
    */
-  getCameraPosition (t) {
-    if (!this.gameOver || t <= this.gameOverAt) {
-      return this.settings.gameAcceleration / 2 * t * t + this.settings.gameInitialVelocity * t + this.settings.gameInitialPosition
-    }
-    const v = this.settings.gameAcceleration * this.gameOverAt + this.settings.gameInitialVelocity
-    const a = this.settings.rendererFallingAnimationDuration > 0 ? -v / this.settings.rendererFallingAnimationDuration : 0
-    const dt = Math.min(this.settings.rendererFallingAnimationDuration, t - this.gameOverAt)
-    return this.getCameraPosition(this.gameOverAt) + a / 2 * dt * dt + v * dt
+  tap (x, y) {
+    this.command('confirm')
   }
-}
 
-class State {
-  constructor () {
-    this.ready = true
-    this.inGame = false
-    /** @type {Game} */
-    this.game = null
-    /** @type {GameInputs} */
-    this.gameInputs = null
-    this.t = 0
-    this.gameOver = false
-    this.gameOverAt = 0
-    this.gameScore = 0
-  }
-}
+  /**
+   * The mouse moves, or its main button changes
+   * @param {number} x Canvas pixels
+   * @param {number} y Canvas pixels
+   * @param {boolean} pressed Whether its main button is down
+   */
+  mouse (x, y, pressed) { }
 
-class ProjectedContext {
   /**
-   * @param {CanvasRenderingContext2D} context
-   * @param {Vect} origin
-   * @param {Matrix} projectionMatrix
+   * @param {CanvasRenderingContext2D} ctx
    */
-  constructor (context, projectionMatrix, origin) {
-    this.context = context
-    this.projectionMatrix = projectionMatrix
-    this.origin = origin
-  }
+  draw (ctx) { }
 }
 
-class GameScene {
+/**
+ * A screen with a list of items to pick from
+ */
+class MenuScreen extends Screen {
   /**
-   * @param {Player} player
-   * @param {number} start
-   * @param {number} end
-   * @param {{ 1: { 1: Tile; }; }} tiles
-   * @param {number} powerUpColorId
-   * @param {number} t
-   * @param {number} lastPowerUpTime
+   * @param {Main} main
+   * @param {string} title
    */
-  constructor (player, start, end, tiles, powerUpColorId, t, lastPowerUpTime) {
-    this.player = player
-    this.start = start
-    this.end = end
-    this.tiles = tiles
-    this.powerUpColorId = powerUpColorId
-    this.t = t
-    this.lastPowerUpTime = lastPowerUpTime
+  constructor (main, title) {
+    super(main)
+    this.title = title
+    this.selected = 0
+    this.top = 200
+    this.itemHeight = 50
   }
 
   /**
-   * @param {Game} game
+   * @returns {{ label: string; action: function(): void; }[]}
    */
-  static fromGame (game) {
-    return new GameScene(game.player, game.viewportStart, game.viewportEnd, game.tiles, game.player.level + 1, game.t, game.player.levelSince)
+  items () {
+    return []
   }
-}
 
-class GameSceneDrawer {
   /**
-   * @param {GameSettings} settings
+   * What going back from this menu does
    */
-  constructor (settings) {
-    this.settings = settings
+  back () { }
 
-    // Pre-compute some colors
-    this.backgroundColor = settings.rendererBackgroundColor.toString()
-    this.groundColor = this._faceColor(settings.rendererGroundColor, new Vect(0, 0, 1)).toString()
-    this.bottomLeftSideColor = this._faceColor(settings.rendererGroundColor, new Vect(-1, 0, 0)).toString()
-    this.bottomRightSideColor = this._faceColor(settings.rendererGroundColor, new Vect(0, -1, 0)).toString()
+  enter () {
+    this.selected = 0
   }
 
   /**
-   * Draw a `scene` on a `projectedContext`
-   * @param {ProjectedContext} projectedContext
-   * @param {GameScene} scene
+   * @param {string} command
    */
-  drawScene (projectedContext, scene) {
-    const ctx = projectedContext.context
-    ctx.fillStyle = this.settings.rendererBackgroundColor.toString()
-    ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height)
+  command (command) {
+    const items = this.items()
+    if (command === 'up') {
+      this.selected = (this.selected + items.length - 1) % items.length
+    } else if (command === 'down') {
+      this.selected = (this.selected + 1) % items.length
+    } else if (command === 'confirm' || command === 'start') {
+      items[Math.min(this.selected, items.length - 1)].action()
+    } else if (command === 'back') {
+      this.back()
+    }
+  }
 
-    let drawPlayer = false
-    let playerX
-    let playerY
-    let playerZ
-    if (scene.player instanceof Player) {
-      drawPlayer = true
-      playerZ = scene.player.position.z
-      if (playerZ < 0) {
-        const p = scene.player.getCollisionPath().vertices[0]
-        playerX = Math.floor(p.x)
-        playerY = Math.floor(p.y)
-      }
+  /**
+   * @param {number} x
+   * @param {number} y
+   */
+  tap (x, y) {
+    const i = this._itemAt(y)
+    if (i >= 0 && i < this.items().length) {
+      this.selected = i
+      this.command('confirm')
     }
+  }
 
-    // (len ** 2) tiles to draw
-    const len = scene.end - scene.start + 1
+  /**
+   * Index of the item at height `y` on the screen, maybe not an item at all
+   *
+   * Items are drawn on their text baseline, their letters standing above
+   * it: the row of an item goes from 0.7 item height above its baseline,
+   * about the height of the text, to 0.3 below
+   * @param {number} y
+   */
+  _itemAt (y) {
+    return Math.floor((y - this.top) / this.itemHeight + 0.7)
+  }
 
-    // We draw them from back to front
-    for (let i = 0; i < 2 * len - 1; i++) {
-      for (let j = Math.max(0, i - len + 1); j <= Math.min(i, len - 1); j++) {
-        const x = len - j - 1 + scene.start
-        const y = len - (i - j) - 1 + scene.start
+  /**
+   * @param {CanvasRenderingContext2D} ctx
+   */
+  draw (ctx) {
+    ctx.fillStyle = this.settings.rendererTextColor.toString()
+    ctx.font = '60px "Segoe UI Semibold"'
+    ctx.fillText(this.title, 100, this.top - 80)
+    ctx.font = '36px "Segoe UI Semibold"'
+    this.items().forEach((item, i) => {
+      ctx.fillStyle = (i === this.selected ? this.settings.rendererTextColor : this.settings.rendererMutedTextColor).toString()
+      ctx.fillText((i === this.selected ? '> ' : '  ') + item.label, 100, this.top + this.itemHeight * i)
+    })
+  }
 
-        if (drawPlayer && playerZ < 0 && x === playerX && y === playerY) {
-          this.drawPlayer(projectedContext, scene)
-          drawPlayer = false
-        }
+  /**
+   * Where the items end
+   */
+  bottom () {
+    return this.top + this.itemHeight * this.items().length
+  }
+}
 
-        if (this._isTile(scene, x, y)) {
-          const tile = scene.tiles[y][x]
-          this._drawTile(projectedContext, scene, tile)
-        }
-      }
+/**
+ * First thing shown, waiting for any input
+ */
+class TitleScreen extends Screen {
+  /**
+   * @param {string} command
+   */
+  command (command) {
+    if (command === 'confirm' || command === 'start') {
+      this.main.goTo('menu')
     }
+  }
 
-    if (drawPlayer) {
-      this.drawPlayer(projectedContext, scene)
+  /**
+   * @param {CanvasRenderingContext2D} ctx
+   */
+  draw (ctx) {
+    const w = this.settings.canvasElement.width
+    const h = this.settings.canvasElement.height
+    ctx.textAlign = 'center'
+    ctx.fillStyle = this.settings.rendererTextColor.toString()
+    ctx.font = '100px "Segoe UI Semibold"'
+    ctx.fillText('Le Pire Cube', w / 2, h / 2)
+    // Blinks once per second
+    if (this.state.t % 1 < 0.6) {
+      ctx.font = '36px "Segoe UI Semibold"'
+      ctx.fillText(this.settings.inputIsTouchScreen ? 'Tap to start' : 'Press jump to start', w / 2, h / 2 + 80)
     }
+    ctx.textAlign = 'start'
   }
+}
 
+class MainMenuScreen extends MenuScreen {
   /**
-   * Draw the player (given in the `scene`) on the `projectedContext`
-   * @param {ProjectedContext} projectedContext
-   * @param {GameScene} scene
+   * @param {Main} main
    */
-  drawPlayer (projectedContext, scene) {
-    const p = scene.player
+  constructor (main) {
+    super(main, 'Le Pire Cube')
+  }
 
-    const cube = new Prism(p.s)
-      .rotateY(p.rotation, p.s.cloneX())
-      .rotateZ(p.orientation, p.s.multiply(0.5))
-      .translate(p.position.substract(p.s.cloneXY().multiply(0.5)))
+  items () {
+    const items = [
+      { label: 'Play', action: () => this.main.newGame() },
+      { label: 'Two players', action: () => this.main.newGame(null, 2) }
+    ]
+    const level = this.state.level
+    if (level !== null) {
+      items.push({ label: `Play ${level.name}`, action: () => this.main.newGame(level) })
+    }
+    if (this.state.lastRecording !== null) {
+      items.push({ label: 'Replay the last run', action: () => this.main.replay(this.state.lastRecording, this.state.lastLevel) })
+    }
+    items.push({ label: 'Settings', action: () => this.main.goTo('settings') })
+    items.push({ label: 'Load a level', action: () => this.main.pickLevel() })
+    items.push({ label: 'Level editor', action: () => this.main.goTo('editor') })
+    return items
+  }
 
-    this.drawPlayerShadow(projectedContext, scene, cube)
+  enter () {
+    super.enter()
+    this.state.editing = false
+  }
 
-    const color = this._transitionColor(scene, p.level)
+  back () {
+    this.main.goTo('title')
+  }
 
-    /**
-     * @param {Path} cp
-     */
-    const depth = cp =>
-      cp.vertices.map(v => 2 * v.z - v.x - v.y).reduce((a, b) => a + b) / cp.vertices.length
-    cube.faces.sort((p1, p2) => depth(p1) - depth(p2))
+  /**
+   * @param {CanvasRenderingContext2D} ctx
+   */
+  draw (ctx) {
+    super.draw(ctx)
+    ctx.font = '26px "Segoe UI Semibold"'
+    let top = this.bottom() + 60
+    if (this.state.levelError !== '') {
+      ctx.fillStyle = this.settings.rendererMutedTextColor.toString()
+      ctx.fillText(this.state.levelError, 100, top - 20)
+      top += 40
+    }
+    this.state.highScores.draw(ctx, this.settings, top, -1, '')
+  }
+}
+
+/**
+ * Playing, or watching a replay
+ */
+class GameScreen extends Screen {
+  /**
+   * @param {Main} main
+   */
+  constructor (main) {
+    super(main)
+    this.runsGame = true
+    this.effectLabels = {
+      slowMotion: 'Slow motion',
+      doubleJump: 'Double jump',
+      shield: 'Shield',
+      magnet: 'Magnet'
+    }
+  }
+
+  /**
+   * @param {number} dt
+   */
+  update (dt) {
+    const game = this.state.game
+    if (this.state.replay === null) {
+      this.main.feedInputs()
+    }
 
-    for (const path of cube.faces) {
-      let faceColor = this._faceColor(color, path.normal)
-      const t = Math.min(Math.max((-p.position.z - p.side) / this.settings.rendererTileHeight, 0), 1)
-      if (p.position.z < 0) {
-        faceColor = Color.gradient(faceColor, this.settings.rendererBackgroundColor, t)
+    if (game.gameOver) {
+      if (this.state.gameOverAt === null) {
+        this.state.gameOverAt = this.state.t
+        // Only the inputs of the first player are recorded
+        const alone = game.players.length === 1
+        this.state.lastRecording = alone ? game.recording : null
+        this.state.lastLevel = game.level
+        // Replays would only add the same score again, levels are no
+        // endless runs, and two players do not play the same game
+        this.state.highScoreRank = this.state.replay !== null || game.level !== null || !alone ? -1 : this.state.highScores.add({
+          score: game.score,
+          date: Date.now(),
+          seed: game.seed,
+          level: game.player.level
+        }, game.recording)
+      } else if (this.state.t > this.state.gameOverAt + this.settings.rendererFallingAnimationDuration) {
+        this.main.goTo(game.levelComplete ? 'levelComplete' : 'gameOver')
       }
-      this._drawColoredPath(projectedContext, path, faceColor)
     }
   }
 
   /**
-   * @param {ProjectedContext} projectedContext
-   * @param {GameScene} scene
-   * @param {Solid} cube
+   * @param {string} command
    */
-  drawPlayerShadow (projectedContext, scene, cube) {
-    const v = this.settings.rendererLightDirection
-
-    const shadowProjectionMatrix = new Matrix(
-      new Vect(1, 0, 0),
-      new Vect(0, 1, 0),
-      new Vect(-v.x / v.z, -v.y / v.z, 0)
-    )
-
-    // const gravityCenter = scene.player.position.add(scene.player.s.cloneZ().multiply(0.5))
-    // const projectedGravityCenter = shadowProjectionMatrix.product(gravityCenter)
-
-    if (scene.player.position.z < 0) {
-      return
-    }
-
-    for (const face of cube.faces) {
-      const projectedVertices = face.vertices.map(
-        p => shadowProjectionMatrix.product(p)
-      )
-      this._drawColoredPath(projectedContext, new Path(projectedVertices), new Color(50, 50, 50))
+  command (command) {
+    if (command === 'back' || command === 'start' || command === 'pause') {
+      this.main.pause()
     }
   }
 
+  tap () { }
+
   /**
-   * @param {ProjectedContext} projectedContext
+   * Whether a tap at (x, y) hits the pause button of touch screens
    * @param {number} x
    * @param {number} y
-   * @param {?number} z
    */
-  _project (projectedContext, x, y, z = 0) {
-    return projectedContext.origin.add(projectedContext.projectionMatrix.product(new Vect(x, y, z)))
+  isPauseButton (x, y) {
+    const size = 80 * this.settings.window.devicePixelRatio
+    return x > this.settings.canvasElement.width - size && y < size
   }
 
   /**
-   * @param {GameScene} scene
-   * @param {number} x
-   * @param {number} y
+   * @param {CanvasRenderingContext2D} ctx
    */
-  _isTile (scene, x, y) {
-    return y in scene.tiles && x in scene.tiles[y] && scene.tiles[y][x] instanceof Tile
+  draw (ctx) {
+    const game = this.state.game
+    const drawer = this.main.renderer.gameSceneDrawer
+    const colors = this.settings.rendererPlayerColors
+    // One column per player, in the color of its cube when there are two
+    game.players.forEach((player, i) => {
+      const x = 300 + 400 * i
+      const color = game.players.length > 1 ? colors[drawer.playerColorId(player, i) % colors.length] : this.settings.rendererTextColor
+      ctx.fillStyle = color.toString()
+      ctx.font = '80px "Segoe UI Semibold"'
+      ctx.fillText(player.score.toString(), x, 120)
+      ctx.font = '26px "Segoe UI Semibold"'
+      let y = 160
+      if (game.players.length > 1) {
+        ctx.fillText(`Player ${i + 1}${player.out ? ', out' : ''}`, x, y)
+        y += 40
+      }
+      if (this.state.replay !== null) {
+        ctx.fillText('Replay', x, y)
+        y += 40
+      }
+      // Power-ups at work, with the seconds they have left
+      for (const kind in this.effectLabels) {
+        if (player.hasEffect(kind, game.t)) {
+          ctx.fillStyle = this.settings.rendererPowerUpColors[kind].toString()
+          ctx.fillText(`${this.effectLabels[kind]} ${Math.ceil(player.effects[kind] - game.t)}`, x, y)
+          y += 40
+        }
+      }
+    })
+    ctx.fillStyle = this.settings.rendererTextColor.toString()
+    if (this.settings.inputIsTouchScreen) {
+      const ratio = this.settings.window.devicePixelRatio
+      const x = this.settings.canvasElement.width - 50 * ratio
+      ctx.fillRect(x - 12 * ratio, 25 * ratio, 8 * ratio, 30 * ratio)
+      ctx.fillRect(x + 4 * ratio, 25 * ratio, 8 * ratio, 30 * ratio)
+      this.main.joystick.draw(ctx)
+    }
   }
+}
 
+class PausedScreen extends MenuScreen {
   /**
-   * @param {Color} color
-   * @param {Vect} normalVect
+   * @param {Main} main
    */
-  _faceColor (color, normalVect) {
-    return Color.scale(color, this.settings.rendererLightColor, this.settings.rendererDarkColor, this.settings.rendererBrightness, this.settings.rendererLightDirection.dot(normalVect))
+  constructor (main) {
+    super(main, 'Paused')
   }
 
-  /**
-   * @param {GameScene} scene
-   * @param {number} colorId
-   */
-  _transitionColor (scene, colorId) {
-    const colors = this.settings.rendererPlayerColors
-    const dt = scene.t - scene.lastPowerUpTime
-    let color = colors[colorId % colors.length]
-    if (colorId > 0 && scene.lastPowerUpTime > 0 && dt < this.settings.rendererPowerUpAnimationDuration) {
-      color = Color.gradient(colors[(colorId - 1) % colors.length], color, dt / this.settings.rendererPowerUpAnimationDuration)
+  items () {
+    const items = [
+      { label: 'Resume', action: () => this.main.goTo('game') },
+      { label: 'Restart', action: () => this.main.newGame(this.state.game.level, this.state.game.players.length) },
+      { label: 'Settings', action: () => this.main.goTo('settings') },
+      { label: 'Export as SVG', action: () => this.main.exportSvg() }
+    ]
+    if (this.state.editing) {
+      items.push({ label: 'Back to the editor', action: () => this.main.goTo('editor') })
     }
-    return color
+    items.push({ label: 'Main menu', action: () => this.main.goTo('menu') })
+    return items
+  }
+
+  back () {
+    this.main.goTo('game')
   }
 
   /**
-   * @param {PowerUpTile} tile
-   * @param {GameScene} scene
+   * @param {string} command
    */
-  _tileColor (scene, tile) {
-    if (tile.consumed) {
-      if (scene.t - tile.consumedSince >= this.settings.rendererPowerUpAnimationDuration) {
-        return this.settings.rendererGroundColor
-      }
-      const colors = this.settings.rendererPlayerColors
-      return Color.gradient(colors[(scene.powerUpColorId - 1) % colors.length], this.settings.rendererGroundColor, (scene.t - tile.consumedSince) / this.settings.rendererPowerUpAnimationDuration)
+  command (command) {
+    if (command === 'start' || command === 'pause') {
+      this.back()
+    } else {
+      super.command(command)
     }
-    return this._transitionColor(scene, scene.powerUpColorId)
   }
 
   /**
-   * @param {ProjectedContext} projectedContext
-   * @param {Path} path
-   * @param {Color} color
+   * @param {CanvasRenderingContext2D} ctx
    */
-  _drawColoredPath (projectedContext, path, color) {
-    const ctx = projectedContext.context
-    ctx.fillStyle = color.toString()
-
-    ctx.beginPath()
-    for (const vertex of path.vertices) {
-      const corner = this._project(projectedContext, vertex.x, vertex.y, vertex.z)
-      if (corner === path.vertices[0]) {
-        ctx.moveTo(corner.x, corner.y)
-      } else {
-        ctx.lineTo(corner.x, corner.y)
-      }
-    }
-    ctx.closePath()
-    ctx.fill()
+  draw (ctx) {
+    ctx.fillStyle = this.settings.rendererBackgroundColor.withAlpha(0.6).toString()
+    ctx.fillRect(0, 0, this.settings.canvasElement.width, this.settings.canvasElement.height)
+    super.draw(ctx)
   }
+}
 
+class GameOverScreen extends MenuScreen {
   /**
-   * Draw all the faces of a tile
-   * @param {ProjectedContext} projectedContext
-   * @param {GameScene} scene
-   * @param {Tile} tile
+   * @param {Main} main
    */
-  _drawTile (projectedContext, scene, tile) {
-    // Draw the sides
-    if (!this._isTile(scene, tile.x - 1, tile.y)) {
-      this._drawSide(projectedContext, scene, tile, true)
+  constructor (main) {
+    super(main, 'Game over')
+    this.runsGame = true
+    this.top = 320
+  }
+
+  items () {
+    const game = this.state.game
+    const items = [{ label: 'Play again', action: () => this.main.newGame(game.level, game.players.length) }]
+    // The same world again, against the ghost of the best run on it
+    if (game.level === null && game.players.length === 1 && this.state.highScores.hasBestRun(game.seed)) {
+      items.push({ label: 'Race your best run', action: () => this.main.newGame(null, 1, game.seed) })
     }
-    if (!this._isTile(scene, tile.x, tile.y - 1)) {
-      this._drawSide(projectedContext, scene, tile, false)
+    if (this.state.lastRecording !== null) {
+      items.push({ label: 'Replay', action: () => this.main.replay(this.state.lastRecording, this.state.lastLevel) })
     }
-
-    // Draw the top face
-    //   _ 3 _
-    // 4 _   _ 2
-    //     1
-    const one = this._project(projectedContext, tile.x, tile.y)
-    const two = this._project(projectedContext, tile.x + 1, tile.y)
-    const three = this._project(projectedContext, tile.x + 1, tile.y + 1)
-    const four = this._project(projectedContext, tile.x, tile.y + 1)
-
-    let colorString = this.groundColor
-    if (tile instanceof PowerUpTile) {
-      colorString = this._faceColor(this._tileColor(scene, tile), new Vect(0, 0, 1)).toString()
+    if (this.state.editing) {
+      items.push({ label: 'Back to the editor', action: () => this.main.goTo('editor') })
     }
-    const ctx = projectedContext.context
-    ctx.fillStyle = colorString
+    items.push({ label: 'Main menu', action: () => this.main.goTo('menu') })
+    return items
+  }
 
-    ctx.beginPath()
-    ctx.moveTo(one.x, one.y + 1 / SQRT3)
-    ctx.lineTo(two.x + 4 / 3, two.y)
-    ctx.lineTo(three.x, three.y - 1 / SQRT3)
-    ctx.lineTo(four.x - 4 / 3, four.y)
-    ctx.closePath()
-    ctx.fill()
+  back () {
+    this.main.goTo('menu')
   }
 
   /**
-   * Draw the side of a tile
-   * @param {ProjectedContext} projectedContext
-   * @param {GameScene} scene
-   * @param {GameCell} tile
-   * @param {boolean} leftSide True to draw the left side, false otherwise
+   * @param {string} command
    */
-  _drawSide (projectedContext, scene, tile, leftSide) {
-    // true/false <- leftSide
-    //   _-"-_
-    // 2 _   _ 2
-    // |   1   |
-    // |   |   |
-    // 3 _ | _ 3
-    //     4
-
-    const shift = leftSide ? 1 : 0
-    const one = this._project(projectedContext, tile.x, tile.y, 0)
-    const two = this._project(projectedContext, tile.x + (1 - shift), tile.y + shift, 0)
-    const three = this._project(projectedContext, tile.x + (1 - shift), tile.y + shift, -this.settings.rendererTileHeight)
-    const four = this._project(projectedContext, tile.x, tile.y, -this.settings.rendererTileHeight)
-
-    const ctx = projectedContext.context
-    const projectionMatrix = projectedContext.projectionMatrix
-    const gradientVect = leftSide ? projectionMatrix.product(new Vect(0, 1, 0)).rotateZ(PI / 2) : projectionMatrix.product(new Vect(1, 0, 0)).rotateZ(-PI / 2)
-    const gradient = ctx.createLinearGradient(
-      one.x,
-      one.y,
-      one.x + this.settings.rendererTileHeight * this.settings.rendererProjectionMatrix.w.y * gradientVect.x,
-      one.y + this.settings.rendererTileHeight * this.settings.rendererProjectionMatrix.w.y * gradientVect.y
-    )
-
-    let colorString = leftSide ? this.bottomLeftSideColor : this.bottomRightSideColor
-    if (tile instanceof PowerUpTile) {
-      colorString = this._faceColor(this._tileColor(scene, tile), new Vect(-shift, shift - 1, 0)).toString()
+  command (command) {
+    if (command === 'replay') {
+      if (this.state.lastRecording !== null) {
+        this.main.replay(this.state.lastRecording, this.state.lastLevel)
+      }
+    } else {
+      super.command(command)
     }
+  }
 
-    gradient.addColorStop(0, colorString)
-    gradient.addColorStop(1, this.backgroundColor)
-    ctx.fillStyle = gradient
+  /**
+   * What the game was played on, and how it went
+   */
+  subtitle () {
+    const game = this.state.game
+    const scores = game.players.length > 1 ? game.players.map((player, i) => `Player ${i + 1} ${player.score}`).join('   ') : `Score ${game.score}`
+    return `${scores}   ${game.level === null ? `seed ${game.seed}` : game.level.name}`
+  }
 
-    ctx.beginPath()
-    ctx.moveTo(Math.floor(one.x), one.y)
-    ctx.lineTo(two.x - 2 * shift + 1, two.y)
-    ctx.lineTo(three.x - 2 * shift + 1, three.y)
-    ctx.lineTo(Math.floor(four.x), four.y)
-    ctx.closePath()
-    ctx.fill()
+  /**
+   * @param {CanvasRenderingContext2D} ctx
+   */
+  draw (ctx) {
+    super.draw(ctx)
+    ctx.fillStyle = this.settings.rendererTextColor.toString()
+    ctx.font = '26px "Segoe UI Semibold"'
+    ctx.fillText(this.subtitle(), 100, this.top - 40)
+    if (this.state.game.level === null && this.state.game.players.length === 1) {
+      const highlight = this.settings.rendererPlayerColors[2].toString()
+      this.state.highScores.draw(ctx, this.settings, this.bottom() + 60, this.state.highScoreRank, highlight)
+    }
   }
 }
 
-class GameRenderer {
+/**
+ * The finish line of a level is reached
+ */
+class LevelCompleteScreen extends GameOverScreen {
   /**
-   * @param {GameSettings} settings
-   * @param {Game} game
-   * @param {GameSceneDrawer} drawer
+   * @param {Main} main
    */
-  constructor (settings, game, drawer) {
-    this.settings = settings
-    this.game = game
-    this.drawer = drawer
-
-    this.offscreenDrawn = false
-    this.offscreenCameraOffset = 0
-    this.offscreenT = 0
-    this.resize()
+  constructor (main) {
+    super(main)
+    this.title = 'Level complete'
   }
 
-  resize () {
-    this.offscreenDrawn = false
-
-    const offscreenCanvas = this.settings.offscreenCanvasElement
-    offscreenCanvas.width = (this._projectionMatrix().product(new Vect(this.settings.gameWidth, 0, 0)).x + 2) * 2
-    offscreenCanvas.height = this.settings.canvasElement.height * this.settings.offscreenHeightRatio
+  subtitle () {
+    const game = this.state.game
+    return `${game.level.name} in ${game.gameOverAt.toFixed(2)} s`
   }
+}
 
-  directDraw () {
-    const screenWidth = this.settings.canvasElement.width
-    const screenHeight = this.settings.canvasElement.height
-    const m3 = this._projectionMatrix()
-    const mm3 = this._invertedProjectionMatrix()
-
-    const cameraPosition = this.game.cameraPosition
-
-    const origin = new Vect(screenWidth / 2, screenHeight, 0).add(m3.product(new Vect(SQRT2 / 2, SQRT2 / 2, 0).multiply(-cameraPosition)))
-
-    const topRight = mm3.product(new Vect(screenWidth, 0, 0).substract(origin))
-    const bottomLeft = mm3.product(new Vect(0, screenHeight, 0).substract(origin))
-
-    const start = Math.floor(bottomLeft.x)
-    const end = Math.ceil(topRight.x)
-    this.game.generateWorld(start, end)
-
-    const projectedContext = new ProjectedContext(this.settings.canvasContext, m3, origin)
-    const scene = GameScene.fromGame(this.game)
-
-    this.drawer.drawScene(projectedContext, scene)
+/**
+ * Tunable settings and key bindings, reachable from the main menu and the
+ * pause menu
+ */
+class SettingsScreen extends MenuScreen {
+  /**
+   * @param {Main} main
+   */
+  constructor (main) {
+    super(main, 'Settings')
+    this.itemHeight = 44
+    this.editor = main.settingsEditor
+    this.bindings = new BindingsMenu(main.inputs)
+    this.editingBindings = false
+    this.returnTo = 'menu'
   }
 
-  draw () {
-    const m3 = this._projectionMatrix()
-    const mm3 = this._invertedProjectionMatrix()
-
-    if (this.game.player.level > 0 && this.game.t - this.game.player.levelSince < this.settings.rendererPowerUpAnimationDuration) {
-      this.directDraw()
-      if (!this._isOffscreenUpToDate(this.game.t + this.settings.rendererPowerUpAnimationDuration, m3)) {
-        setTimeout(() => this._drawOffscreen(this.game.player.levelSince + this.settings.rendererPowerUpAnimationDuration, m3, mm3, 'animation'), 0)
-      }
-      return
+  enter () {
+    // Settings are left the way they were entered
+    if (this.state.previousScreen !== 'settings') {
+      this.returnTo = this.state.previousScreen
+      this.selected = 0
     }
+    this.editingBindings = false
+  }
 
-    if (this.game.player.position.z < 0) {
-      this.directDraw()
-      return
-    }
+  items () {
+    /** @type {{ label: string; action: function(): void; change?: function(number): void; }[]} */
+    const items = this.editor.tunables.map(tunable => ({
+      label: `${tunable.label}: < ${this.editor.format(tunable)} >${tunable.live ? '' : ' *'}`,
+      action: () => this.command('right'),
+      change: steps => this.editor.change(tunable, steps)
+    }))
+    items.push({
+      label: `Theme: < ${this.settings.rendererTheme} >`,
+      action: () => this.command('right'),
+      change: steps => this.editor.changeTheme(steps)
+    })
+    items.push({ label: 'Load a theme', action: () => this.main.pickTheme() })
+    items.push({
+      label: 'Key bindings',
+      action: () => {
+        this.bindings = new BindingsMenu(this.main.inputs)
+        this.editingBindings = true
+      }
+    })
+    items.push({
+      label: 'Reset to defaults',
+      action: () => {
+        this.editor.reset()
+        this.main.applySettings()
+      }
+    })
+    items.push({ label: 'Back', action: () => this.back() })
+    return items
+  }
 
-    const cameraPosition = this.game.cameraPosition
-    const cameraOffset = -m3.product(new Vect(SQRT2 / 2, SQRT2 / 2, 0).multiply(cameraPosition)).y
+  back () {
+    this.editor.save()
+    this.main.inputs.save(this.main.savedData)
+    this.main.goTo(this.returnTo)
+  }
 
-    if (!this._isOffscreenUpToDate(this.game.t, m3)) {
-      this._drawOffscreen(this.game.t, m3, mm3)
+  /**
+   * Left and right change the selected value
+   * @param {string} command
+   */
+  command (command) {
+    const item = this.items()[this.selected]
+    if ((command === 'left' || command === 'right') && item.change !== undefined) {
+      item.change(command === 'left' ? -1 : 1)
+      this.main.applySettings()
+    } else {
+      super.command(command)
     }
+  }
 
-    const screenWidth = this.settings.canvasElement.width
-    const screenHeight = this.settings.canvasElement.height
-
-    const offscreenWidth = this.settings.offscreenCanvasElement.width
-    const offscreenHeight = this.settings.offscreenCanvasElement.height
-
-    const ctx = this.settings.canvasContext
-    const center = Math.floor(screenWidth / 2 - offscreenWidth / 2)
-
-    ctx.fillStyle = this.settings.rendererBackgroundColor.toString()
-    ctx.fillRect(0, 0, screenWidth, screenHeight)
-
-    ctx.drawImage(this.settings.offscreenCanvasElement, Math.max(0, -center), offscreenHeight - screenHeight + this.offscreenCameraOffset - cameraOffset, Math.min(screenWidth, offscreenWidth), screenHeight, Math.max(0, center), 0, Math.min(screenWidth, offscreenWidth), screenHeight)
-
-    const origin = new Vect(screenWidth / 2, screenHeight, 0).add(new Vect(0, cameraOffset, 0))
-    this.drawer.drawPlayer(new ProjectedContext(this.settings.canvasContext, m3, origin), GameScene.fromGame(this.game))
-
-    const tNextFrame = this.game.t + this.settings.rendererMinimumTimeBetweenFrames
-
-    if (!this._isOffscreenUpToDate(tNextFrame, m3)) {
-      setTimeout(() => this._drawOffscreen(tNextFrame, m3, mm3, 'anticipation'), 0)
+  /**
+   * Key bindings can only be changed with a keyboard
+   * @param {KeyboardEvent} e
+   */
+  keyDownHandler (e) {
+    if (!this.editingBindings) {
+      return false
     }
+    this.bindings.keyDownHandler(e)
+    if (this.bindings.closed) {
+      this.editingBindings = false
+    }
+    return true
   }
 
-  _projectionMatrix () {
-    return this.settings.rendererProjectionMatrix.multiply(
-      this.settings.canvasElement.height /
-      (-(this.settings.rendererProjectionMatrix.u.y +
-        this.settings.rendererProjectionMatrix.v.y) *
-        this.settings.rendererTilesOnScreen)
-    )
+  /**
+   * Tapping the left half of a value lowers it, the right half raises it
+   * @param {number} x
+   * @param {number} y
+   */
+  tap (x, y) {
+    if (this.editingBindings) {
+      this.editingBindings = false
+      return
+    }
+    const i = this._itemAt(y)
+    const items = this.items()
+    if (i >= 0 && i < items.length && items[i].change !== undefined) {
+      this.selected = i
+      this.command(x < this.settings.canvasElement.width / 2 ? 'left' : 'right')
+    } else {
+      super.tap(x, y)
+    }
   }
 
-  _invertedProjectionMatrix () {
-    return this.settings.rendererInvertedProjectionMatrix.multiply(
-      (-(this.settings.rendererProjectionMatrix.u.y +
-        this.settings.rendererProjectionMatrix.v.y) *
-        this.settings.rendererTilesOnScreen) /
-      this.settings.canvasElement.height
-    )
+  /**
+   * @param {CanvasRenderingContext2D} ctx
+   */
+  draw (ctx) {
+    if (this.editingBindings) {
+      ctx.fillStyle = this.settings.rendererTextColor.toString()
+      ctx.font = '60px "Segoe UI Semibold"'
+      ctx.fillText('Key bindings', 100, 120)
+      this.bindings.draw(ctx, this.settings)
+      return
+    }
+    super.draw(ctx)
+    ctx.fillStyle = this.settings.rendererMutedTextColor.toString()
+    ctx.font = '26px "Segoe UI Semibold"'
+    ctx.fillText('* from the next game on', 100, this.bottom() + 20)
+    if (this.state.themeError !== '') {
+      ctx.fillText(this.state.themeError, 100, this.bottom() + 60)
+    }
   }
+}
 
-  _isOffscreenUpToDate (t, m3) {
-    const screenHeight = this.settings.canvasElement.height
-    const offscreenHeight = this.settings.offscreenCanvasElement.height
-    const cameraOffset = -m3.product(new Vect(SQRT2 / 2, SQRT2 / 2, 0).multiply(this.game.getCameraPosition(t))).y
-
-    return this.offscreenDrawn && cameraOffset > this.offscreenCameraOffset && cameraOffset < this.offscreenCameraOffset + offscreenHeight - screenHeight && (this.game.player.level === 0 || this.offscreenT >= this.game.player.levelSince + this.settings.rendererPowerUpAnimationDuration)
+/**
+ * Paints a level on the track, cell by cell, the keys of the map legend being
+ * the brushes
+ */
+class EditorScreen extends Screen {
+  /**
+   * @param {Main} main
+   */
+  constructor (main) {
+    super(main)
+    this.name = 'Custom level'
+    this.rows = EditorScreen.defaultMap()
+    this.brush = '.'
+    // Cell under the mouse, its top at z
+    /** @type {?Vect} */
+    this.hovered = null
+    // Set from the start of the level the first time it is drawn
+    /** @type {?number} */
+    this.camera = null
+    /** @type {?Game} */
+    this.game = null
   }
 
-  _drawOffscreen (t, m3, mm3, reason = '') {
-    console.log(t, reason)
-    const currentCameraOffset = -m3.product(new Vect(SQRT2 / 2, SQRT2 / 2, 0).multiply(this.game.getCameraPosition(this.game.t))).y
-    const cameraOffset = -m3.product(new Vect(SQRT2 / 2, SQRT2 / 2, 0).multiply(this.game.getCameraPosition(t))).y
-
-    this.offscreenDrawn = true
-    this.offscreenCameraOffset = cameraOffset
-    this.offscreenT = t
-
-    const offscreenWidth = this.settings.offscreenCanvasElement.width
-    const offscreenHeight = this.settings.offscreenCanvasElement.height
-
-    const currentOrigin = new Vect(offscreenWidth / 2, offscreenHeight, 0).add(new Vect(0, currentCameraOffset, 0))
-    const origin = new Vect(offscreenWidth / 2, offscreenHeight, 0).add(new Vect(0, cameraOffset, 0))
-
-    const currentTopRight = mm3.product(new Vect(offscreenWidth, 0, 0).substract(currentOrigin))
-    const currentBottomLeft = mm3.product(new Vect(0, offscreenHeight, 0).substract(currentOrigin))
-
-    const topRight = mm3.product(new Vect(offscreenWidth, 0, 0).substract(origin))
-    const bottomLeft = mm3.product(new Vect(0, offscreenHeight, 0).substract(origin))
-
-    const start = Math.floor(Math.min(bottomLeft.x, currentBottomLeft.x))
-    const end = Math.ceil(Math.max(topRight.x, currentTopRight.x))
-    this.game.generateWorld(start, end)
-
-    const scene = GameScene.fromGame(this.game)
-    scene.player = null
-    scene.t = t
+  /**
+   * A straight track with nothing on it
+   */
+  static defaultMap () {
+    const rows = []
+    for (let y = 0; y < 60; y++) {
+      let row = ''
+      for (let x = 0; x <= y + 2; x++) {
+        row += Math.abs(x - y) <= 2 ? '.' : ' '
+      }
+      rows.push(row)
+    }
+    rows[1] = '.@.'
+    return rows
+  }
 
-    this.drawer.drawScene(new ProjectedContext(this.settings.offscreenCanvasContext, m3, origin), scene)
+  /**
+   * Edit another level from now on
+   * @param {Level} level
+   */
+  open (level) {
+    this.name = level.name
+    this.rows = level.rows.slice()
+    this.camera = null
   }
-}
 
-class Renderer {
   /**
-   * @param {GameSettings} settings
-   * @param {State} state
+   * The level as painted so far
+   * @param {?Vect} start Where to start instead of the @
    */
-  constructor (settings, state) {
-    this.settings = settings
-    this.state = state
-    this.gameSceneDrawer = new GameSceneDrawer(settings)
-    this.gameRenderer = null
+  level (start = null) {
+    return new Level(this.name, this.rows, start)
   }
 
-  resize () {
-    if (this.gameRenderer instanceof GameRenderer) {
-      this.gameRenderer.resize()
+  enter () {
+    this._rebuild()
+  }
+
+  /**
+   * A game of the level that never runs, for the renderer to draw it
+   */
+  _rebuild () {
+    this.game = new Game(this.settings, new GameInputs(), 0, this.level())
+    if (this.camera === null) {
+      this.camera = this.game.cameraStart
     }
+    this._scroll(0)
+    this.state.game = this.game
   }
 
   /**
-   * @param {function} updateCallback
+   * @param {number} distance Tiles along the track
    */
-  render (updateCallback) {
-    let fps = 0
-    let frames = 0
+  _scroll (distance) {
+    this.camera += distance
+    // The game stays at t = 0, where the camera is at its start
+    this.game.cameraStart = this.camera
+    this.game.cameraPosition = this.camera
+    const renderer = this.main.renderer.gameRenderer
+    if (renderer instanceof GameRenderer) {
+      renderer.game.cameraPosition = this.camera
+    }
+  }
 
-    let t0 = performance.now()
-    /**
-     * @param {number} t
-     */
-    const frame = /**
-     * @param {number} t
-     */
-      t => {
-        if (Math.floor(t / 1000) > Math.floor(t0 / 1000)) {
-          fps = frames
-          frames = 0
-        }
-        const dt = (t - t0) / 1000
-        updateCallback(dt)
-        this.frame()
-        frames++
-        this.settings.canvasContext.font = '50px "Segoe UI Semibold"'
-        this.settings.canvasContext.fillStyle = '#fff'
-        this.settings.canvasContext.fillText(fps.toString(), 50, 50)
-        t0 = t
-        requestAnimationFrame(frame)
+  /**
+   * The cell drawn at (x, y) on the screen, the tops of raised tiles first
+   * @param {number} x Canvas pixels
+   * @param {number} y Canvas pixels
+   * @returns {?Vect} The cell, with the height of its top
+   */
+  _cellAt (x, y) {
+    const renderer = this.main.renderer.gameRenderer
+    if (!(renderer instanceof GameRenderer)) {
+      return null
+    }
+    const generator = this.game.generator
+    // Maps do not go higher than 9
+    for (let z = 9; z >= 0; z--) {
+      const p = renderer.fromScreen(x, y, z)
+      const cell = new Vect(Math.floor(p.x), Math.floor(p.y), z)
+      if (z === 0 || (generator.isTile(cell.x, cell.y) && generator.height(cell.x, cell.y) === z)) {
+        return cell
       }
+    }
+    return null
+  }
 
-    this.frame()
-    requestAnimationFrame(frame)
+  /**
+   * Paint the brush on a cell, the start being moved rather than painted over
+   * @param {number} x
+   * @param {number} y
+   */
+  _paint (x, y) {
+    const current = this.game.level.cell(x, y)
+    if (current === this.brush || current === '@' || x < 0 || y < 0 || Math.abs(x - y) >= this.settings.gameWidth) {
+      return
+    }
+    if (this.brush === '@') {
+      this.rows = this.rows.map(row => row.replace('@', '.'))
+    }
+    while (this.rows.length <= y) {
+      this.rows.push('')
+    }
+    const row = this.rows[y].padEnd(x + 1, ' ')
+    this.rows[y] = (row.slice(0, x) + this.brush + row.slice(x + 1)).replace(/ +$/, '')
+    this._rebuild()
   }
 
-  frame () {
-    this.drawGameScene()
-    this.drawUserInterface()
+  /**
+   * Play the level, from the cell under the mouse if the cube can stand on it
+   * @param {boolean} fromHovered
+   */
+  playTest (fromHovered) {
+    const generator = this.game.generator
+    const cell = this.hovered
+    let start = null
+    if (fromHovered && cell !== null && generator.isTile(cell.x, cell.y) && !generator.isObstacle(cell.x, cell.y)) {
+      start = new Vect(cell.x + 0.5, cell.y + 0.5, generator.height(cell.x, cell.y))
+    }
+    this.main.playTest(this.level(start))
   }
 
-  drawGameScene () {
-    if (this.state.inGame) {
-      if (!(this.gameRenderer instanceof GameRenderer) || this.gameRenderer.game !== this.state.game) {
-        this.gameRenderer = new GameRenderer(this.settings, this.state.game, this.gameSceneDrawer)
-      }
+  /**
+   * Brushes are picked with their own key, or cycled through with left and right
+   * @param {KeyboardEvent} e
+   */
+  keyDownHandler (e) {
+    const brushes = Object.keys(Level.LEGEND)
+    if (e.code === 'Escape') {
+      this.main.goTo('editorMenu')
+    } else if (e.code === 'Enter') {
+      this.playTest(true)
+    } else if (e.code === 'ArrowUp' || e.code === 'ArrowDown') {
+      this._scroll(e.code === 'ArrowUp' ? 1 : -1)
+    } else if (e.code === 'PageUp' || e.code === 'PageDown') {
+      this._scroll(e.code === 'PageUp' ? 10 : -10)
+    } else if (e.code === 'ArrowLeft' || e.code === 'ArrowRight') {
+      const i = brushes.indexOf(this.brush) + (e.code === 'ArrowLeft' ? -1 : 1)
+      this.brush = brushes[(i + brushes.length) % brushes.length]
+    } else if (e.key in Level.LEGEND) {
+      this.brush = e.key
+    } else if (e.key.toUpperCase() in Level.LEGEND) {
+      this.brush = e.key.toUpperCase()
+    } else {
+      return false
     }
-    if (this.gameRenderer instanceof GameRenderer) {
-      this.gameRenderer.draw()
+    return true
+  }
+
+  /**
+   * @param {string} command
+   */
+  command (command) {
+    if (command === 'back' || command === 'pause' || command === 'start') {
+      this.main.goTo('editorMenu')
     }
   }
 
-  drawUserInterface () {
-    if (this.state.inGame) {
-      this.settings.canvasContext.fillStyle = '#fff'
-      this.settings.canvasContext.font = '80px "Segoe UI Semibold"'
-      this.settings.canvasContext.fillText(this.state.game.score.toString(), 300, 120)
-    } else {
-      this.settings.canvasContext.fillStyle = '#fff'
-      this.settings.canvasContext.font = '26px "Segoe UI Semibold"'
-      if (this.state.gameOver) {
-        this.settings.canvasContext.fillText(this.state.gameScore.toString(), 100, 500)
-      } else {
-        this.settings.canvasContext.fillText('yeah, high scores here', 100, 500)
-      }
+  /**
+   * @param {number} x Canvas pixels
+   * @param {number} y Canvas pixels
+   * @param {boolean} pressed Whether its main button is down
+   */
+  mouse (x, y, pressed) {
+    this.hovered = this._cellAt(x, y)
+    if (pressed && this.hovered !== null) {
+      this._paint(this.hovered.x, this.hovered.y)
+    }
+  }
+
+  /**
+   * @param {number} x Canvas pixels
+   * @param {number} y Canvas pixels
+   */
+  tap (x, y) {
+    this.mouse(x, y, true)
+  }
+
+  /**
+   * @param {CanvasRenderingContext2D} ctx
+   */
+  draw (ctx) {
+    const renderer = this.main.renderer.gameRenderer
+    if (this.hovered !== null && renderer instanceof GameRenderer) {
+      const { x, y, z } = this.hovered
+      const corners = [new Vect(x, y, z), new Vect(x + 1, y, z), new Vect(x + 1, y + 1, z), new Vect(x, y + 1, z)]
+        .map(v => renderer.toScreen(v))
+      ctx.strokeStyle = this.settings.rendererTextColor.toString()
+      ctx.lineWidth = 3
+      ctx.beginPath()
+      corners.forEach((p, i) => i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y))
+      ctx.closePath()
+      ctx.stroke()
     }
+
+    ctx.fillStyle = this.settings.rendererTextColor.toString()
+    ctx.font = '60px "Segoe UI Semibold"'
+    ctx.fillText(this.name, 100, 120)
+    ctx.font = '26px "Segoe UI Semibold"'
+    ctx.fillStyle = this.settings.rendererMutedTextColor.toString()
+    ctx.fillText('Click to paint, up and down to scroll, Enter to play from the cell under the mouse', 100, 170)
+
+    // The palette, the brush in use stands out
+    const bottom = this.settings.canvasElement.height - 60
+    Object.keys(Level.LEGEND).forEach((key, i) => {
+      ctx.fillStyle = (key === this.brush ? this.settings.rendererTextColor : this.settings.rendererMutedTextColor).toString()
+      ctx.fillText(key === ' ' ? '_' : key, 100 + i * 36, bottom)
+    })
+    ctx.fillStyle = this.settings.rendererTextColor.toString()
+    ctx.fillText(`Brush: ${Level.LEGEND[this.brush]}`, 100, bottom - 50)
   }
 }
 
-// class Joystick {
-
-//     constructor(settings, state) {
-//         this.settings = settings
-//         this.state = state
-//         this.pad = false;
-//         this.padCenter = null;
-//         this.padEnd = null;
-//         this.padFinger = null;
-//         this.space = false;
-//         this.spaceFinger = null;
-//     }
-
-// update33() {
-//     if (this.state.inGame) {
-//         this.state.game.inputs.space = this.space
-//         let v = this.padEnd.substract(this.padCenter)
-//         if (!this.pad || v.lengthSquared() < 400) {
-//             this.state.game.inputs.direction = Vect.ZERO
-//             return
-//         }
-//         v = v.normalize()
-//         let direction = new Vect(1, -1, 0).multiply(v.x).add(
-//             new Vect(-1, -1, 0).multiply(v.y)
-//         )
-//         this.state.game.inputs.direction = direction
-//     } else if (this.pad || this.space) {
-//         this.state.inGame = true
-//         this.state.game = new Game(this.settings)
-//     }
-// }
-
-// /**
-//  * @param {TouchEvent} e
-//  */
-// touchStartHandler(e) {
-//     e.preventDefault();
-//     for (const t of e.changedTouches) {
-//         if (!this.pad) {
-//             this.pad = true;
-//             this.padCenter = new Vect(t.pageX, t.pageY, 0);
-//             this.padEnd = new Vect(t.pageX, t.pageY, 0);
-//             this.padFinger = t.identifier;
-//         } else if (!this.space) {
-//             this.space = true;
-//             this.spaceFinger = t.identifier;
-//         }
-//     }
-//     this.update33()
-// }
-
-// /**
-//  * @param {TouchEvent} e
-//  */
-// touchMoveHandler(e) {
-//     e.preventDefault();
-//     for (const t of e.changedTouches) {
-//         if (t.identifier == this.padFinger) {
-//             this.padEnd = new Vect(t.pageX, t.pageY, 0);
-//         }
-//     }
-//     this.update33()
-// }
-
-// /**
-//  * @param {TouchEvent} e
-//  */
-// touchEndHandler(e) {
-//     e.preventDefault();
-//     for (const t of e.changedTouches) {
-//         if (t.identifier == this.padFinger) {
-//             this.pad = false;
-//             this.padFinger = null;
-//         } else if (t.identifier == this.spaceFinger) {
-//             this.space = false;
-//             this.spaceFinger = null;
-//         }
-//     }
-//     this.update33()
-// }
-
-// }
+class EditorMenuScreen extends MenuScreen {
+  /**
+   * @param {Main} main
+   */
+  constructor (main) {
+    super(main, 'Level editor')
+  }
 
-class UserInputs {
-  constructor () {
-    this.keySpace = false
-    this.keyUp = false
-    this.keyDown = false
-    this.keyLeft = false
-    this.keyRight = false
+  items () {
+    const editor = this.main.screens.editor
+    const items = [
+      { label: 'Back to editing', action: () => this.back() },
+      { label: 'Play-test from the start', action: () => editor.playTest(false) },
+      { label: 'Export as a level file', action: () => this.main.exportLevel(editor.level()) }
+    ]
+    const level = this.state.level
+    if (level !== null) {
+      items.push({
+        label: `Edit ${level.name}`,
+        action: () => {
+          editor.open(level)
+          this.back()
+        }
+      })
+    }
+    items.push({
+      label: 'Start over',
+      action: () => {
+        editor.open(new Level('Custom level', EditorScreen.defaultMap()))
+        this.back()
+      }
+    })
+    items.push({ label: 'Main menu', action: () => this.main.goTo('menu') })
+    return items
+  }
+
+  back () {
+    this.main.goTo('editor')
+  }
+
+  /**
+   * @param {CanvasRenderingContext2D} ctx
+   */
+  draw (ctx) {
+    ctx.fillStyle = this.settings.rendererBackgroundColor.withAlpha(0.6).toString()
+    ctx.fillRect(0, 0, this.settings.canvasElement.width, this.settings.canvasElement.height)
+    super.draw(ctx)
   }
 }
 
 // eslint-disable-next-line no-unused-vars
 class Main {
   /**
-   * @param {GameSettings} settings
+   * @param {RendererSettings} settings
    */
   constructor (settings) {
     this.settings = settings
     this.state = new State()
-    this.inputs = new UserInputs()
-    this.renderer = new Renderer(this.settings, this.state)
+    this.savedData = new SavedData(settings.window)
+    this.inputs = UserInputs.load(this.savedData)
+    this.twoPlayersInputs = [0, 1].map(i => new UserInputs(UserInputs.twoPlayersBindings(i)))
+    this.settingsEditor = new SettingsEditor(settings, this.savedData)
+    this.settingsEditor.load()
+    this.state.highScores = new HighScores(this.savedData, settings.highScoresSize, settings.highScoresGhosts)
+    this.joystick = new Joystick(settings)
+    this.gamepads = new Gamepads(settings)
+    /** @type {Object<string, Screen>} */
+    this.screens = {
+      title: new TitleScreen(this),
+      menu: new MainMenuScreen(this),
+      game: new GameScreen(this),
+      paused: new PausedScreen(this),
+      gameOver: new GameOverScreen(this),
+      levelComplete: new LevelCompleteScreen(this),
+      settings: new SettingsScreen(this),
+      editor: new EditorScreen(this),
+      editorMenu: new EditorMenuScreen(this)
+    }
+    this.renderer = new Renderer(this.settings, this.state, this.screens)
   }
 
   run () {
     this.resize()
+    this.fetchLevel()
+    this.fetchTheme()
 
     this.settings.window.addEventListener('keydown', e => this.keyDownHandler(e))
     this.settings.window.addEventListener('keyup', e => this.keyUpHandler(e))
-    this.settings.window.addEventListener('touchstart', e => this.touchStartHandler(e))
-    this.settings.window.addEventListener('touchmove', e => this.touchMoveHandler(e))
-    this.settings.window.addEventListener('touchend', e => this.touchEndHandler(e))
+    this.settings.window.addEventListener('touchstart', e => this.touchStartHandler(e), { passive: false })
+    this.settings.window.addEventListener('touchmove', e => this.touchMoveHandler(e), { passive: false })
+    this.settings.window.addEventListener('touchend', e => this.touchEndHandler(e), { passive: false })
+    this.settings.window.addEventListener('touchcancel', e => this.touchEndHandler(e), { passive: false })
+    for (const type of ['mousedown', 'mousemove', 'mouseup']) {
+      this.settings.window.addEventListener(type, e => this.mouseHandler(e))
+    }
     this.settings.window.addEventListener('resize', _ => this.resize())
+    // Nobody plays in a hidden tab
+    this.settings.window.addEventListener('blur', _ => this.pause())
+    this.settings.window.document.addEventListener('visibilitychange', _ => {
+      if (this.settings.window.document.hidden) {
+        this.pause()
+      }
+    })
 
     this.renderer.render(this.update.bind(this))
   }
@@ -1706,64 +5510,309 @@ class Main {
   update (dt) {
     this.state.t += dt
 
-    if (this.state.inGame) {
-      this.state.gameInputs.jump = this.inputs.keySpace
+    this.gamepads.poll()
+    for (const command of this.gamepads.commands) {
+      this.screens[this.state.screen].command(command)
+    }
 
-      // Directional inputs
-      let direction = Vect.ZERO
-      if (this.inputs.keyUp) {
-        direction = direction.add(new Vect(1, 1, 0))
-      }
-      if (this.inputs.keyDown) {
-        direction = direction.add(new Vect(-1, -1, 0))
-      }
-      if (this.inputs.keyLeft) {
-        direction = direction.add(new Vect(-1, 1, 0))
-      }
-      if (this.inputs.keyRight) {
-        direction = direction.add(new Vect(1, -1, 0))
-      }
+    this.screens[this.state.screen].update(dt)
+
+    if (this.state.game instanceof Game && this.screens[this.state.screen].runsGame) {
+      const replay = this.state.replay
+      this.state.game.advance(dt, replay === null ? undefined : t => replay.feed(t))
+    }
+  }
 
-      this.state.gameInputs.direction = direction
+  /**
+   * Copy the keyboard, touch and gamepad inputs into the game ones
+   */
+  feedInputs () {
+    // Two players only have the keyboard, half of it each
+    if (this.state.secondGameInputs !== null) {
+      [this.state.gameInputs, this.state.secondGameInputs].forEach((gameInputs, i) => {
+        gameInputs.jump = this.twoPlayersInputs[i].keyJump
+        gameInputs.direction = this._keysDirection(this.twoPlayersInputs[i])
+      })
+      return
+    }
 
-      if (this.state.game.gameOver) {
-        if (this.state.inGame) {
-          this.state.gameOver = true
-          this.state.gameOverAt = this.state.t
-          this.state.gameScore = this.state.game.score
-        }
-        this.state.inGame = false
-      }
-    } else if (this.inputs.keySpace && this.state.ready) {
-      this.state.ready = false
-      this.inputs.keySpace = false
-      this.newGame()
+    this.state.gameInputs.jump = this.inputs.keyJump || this.joystick.jump || this.gamepads.jump
+
+    // Directional inputs
+    let direction = this._keysDirection(this.inputs)
+    if (this.joystick.pad) {
+      direction = this.joystick.getDirection()
+    } else if (this.gamepads.direction.lengthSquared() > 0) {
+      direction = this.gamepads.direction
+    }
+
+    this.state.gameInputs.direction = direction
+  }
+
+  /**
+   * @param {UserInputs} inputs
+   */
+  _keysDirection (inputs) {
+    let direction = Vect.ZERO
+    if (inputs.keyUp) {
+      direction = direction.add(new Vect(1, 1, 0))
+    }
+    if (inputs.keyDown) {
+      direction = direction.add(new Vect(-1, -1, 0))
     }
+    if (inputs.keyLeft) {
+      direction = direction.add(new Vect(-1, 1, 0))
+    }
+    if (inputs.keyRight) {
+      direction = direction.add(new Vect(1, -1, 0))
+    }
+    return direction
+  }
+
+  /**
+   * Switch to another screen, the renderer animates the transition
+   * @param {string} name
+   */
+  goTo (name) {
+    this.state.previousScreen = this.state.screen
+    this.state.screen = name
+    this.state.screenSince = this.state.t
+    this.screens[name].enter()
+  }
+
+  /**
+   * Take the settings into account in what is already drawn
+   */
+  applySettings () {
+    this.renderer.settingsChanged()
+  }
+
+  /**
+   * Pause the game being played, if any
+   */
+  pause () {
+    if (this.state.screen === 'game' && !this.state.game.gameOver) {
+      this.goTo('paused')
+    }
+  }
 
-    if (this.state.gameOver && this.state.gameOverAt + this.settings.rendererFallingAnimationDuration < this.state.t) {
-      this.state.ready = true
+  /**
+   * Download the current view of the game as a vector image
+   */
+  exportSvg () {
+    if (!(this.renderer.gameRenderer instanceof GameRenderer)) {
+      return
     }
+    const blob = new Blob([this.renderer.gameRenderer.toSvg()], { type: 'image/svg+xml' })
+    this._download(blob, `le-pire-cube-${this.state.game.seed}.svg`)
+  }
+
+  /**
+   * Download a level made in the editor
+   * @param {Level} level
+   */
+  exportLevel (level) {
+    const blob = new Blob([JSON.stringify(level, null, 2)], { type: 'application/json' })
+    this._download(blob, 'le-pire-cube-level.json')
+  }
+
+  /**
+   * @param {Blob} blob
+   * @param {string} name
+   */
+  _download (blob, name) {
+    const url = URL.createObjectURL(blob)
+    const link = this.settings.window.document.createElement('a')
+    link.href = url
+    link.download = name
+    link.click()
+    // Revoked right away, the URL could go before the download starts
+    setTimeout(() => URL.revokeObjectURL(url), 0)
+  }
+
+  /**
+   * Play a level being edited, the menus lead back to the editor
+   * @param {Level} level
+   */
+  playTest (level) {
+    this.newGame(level)
+    this.state.editing = true
+  }
 
-    if (this.state.game instanceof Game) {
-      this.state.game.update(dt)
+  /**
+   * @param {?Level} level Null for a generated world
+   * @param {number} players 1 or 2, on the same screen
+   * @param {?number} seed Of the world, null for a random one
+   */
+  newGame (level = null, players = 1, seed = this.settings.gameSeed) {
+    // The key that started the game should not make the cube jump
+    for (const inputs of [this.inputs, ...this.twoPlayersInputs]) {
+      inputs.keyJump = false
+    }
+    this.state.replay = null
+    this.state.gameInputs = new GameInputs()
+    this.state.secondGameInputs = players > 1 ? new GameInputs() : null
+    const game = new Game(this.settings, this.state.gameInputs, seed, level, this.state.secondGameInputs)
+    // Racing the best run is for one player
+    const best = level === null && players === 1 ? this.state.highScores.bestRun(game.seed) : null
+    if (best !== null) {
+      game.ghost = new Ghost(this.settings, best)
     }
+    this._startGame(game)
   }
 
-  newGame () {
-    this.state.inGame = true
-    this.state.gameOver = false
+  /**
+   * Play a recorded run again, on a fresh game with the same seed
+   * @param {InputRecording} recording
+   * @param {?Level} level What it was played on, null for a generated world
+   */
+  replay (recording, level = null) {
     this.state.gameInputs = new GameInputs()
-    this.state.game = new Game(this.settings, this.state.gameInputs)
+    this.state.secondGameInputs = null
+    this.state.replay = new Replay(recording, this.state.gameInputs)
+    // With the settings it was recorded with
+    const settings = this.settings.withValues(recording.settings)
+    this._startGame(new Game(settings, this.state.gameInputs, recording.seed, level))
+  }
+
+  /**
+   * Make a level file the one to play from the main menu
+   * @param {string} text
+   * @returns {boolean} Whether it is a valid level
+   */
+  loadLevel (text) {
+    try {
+      this.state.level = Level.parse(text)
+      this.state.levelError = ''
+      return true
+    } catch (e) {
+      this.state.levelError = `Cannot load this level: ${e.message}`
+      return false
+    }
+  }
+
+  /**
+   * Load the level of ?level=, if any
+   */
+  fetchLevel () {
+    const url = this.settings.levelUrl
+    if (url === null) {
+      return
+    }
+    this._fetchText(url)
+      .then(text => this.loadLevel(text))
+      .catch(e => { this.state.levelError = `Cannot load ${url}: ${e.message}` })
+  }
+
+  /**
+   * Ask for a level file, and play it right away
+   */
+  pickLevel () {
+    this._pickFile('.json,.txt')
+      .then(text => {
+        if (this.loadLevel(text)) {
+          this.newGame(this.state.level)
+        }
+      })
+      .catch(e => { this.state.levelError = e.message })
+  }
+
+  /**
+   * Add a theme file to the themes, and switch to it
+   * @param {string} text
+   * @returns {boolean} Whether it is a valid theme
+   */
+  loadTheme (text) {
+    try {
+      const theme = this.settingsEditor.addTheme(JSON.parse(text))
+      this.settings.theme(theme.name)
+      this.settingsEditor.save()
+      this.applySettings()
+      this.state.themeError = ''
+      return true
+    } catch (e) {
+      this.state.themeError = `Cannot load this theme: ${e.message}`
+      return false
+    }
+  }
+
+  /**
+   * Load the theme of ?theme=, if any
+   */
+  fetchTheme () {
+    const url = this.settings.themeUrl
+    if (url === null) {
+      return
+    }
+    this._fetchText(url)
+      .then(text => this.loadTheme(text))
+      .catch(e => { this.state.themeError = `Cannot load ${url}: ${e.message}` })
+  }
+
+  /**
+   * Ask for a theme file
+   */
+  pickTheme () {
+    this._pickFile('.json')
+      .then(text => this.loadTheme(text))
+      .catch(e => { this.state.themeError = e.message })
+  }
+
+  /**
+   * @param {string} url
+   * @returns {Promise<string>}
+   */
+  _fetchText (url) {
+    return this.settings.window.fetch(url).then(response => {
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`)
+      }
+      return response.text()
+    })
+  }
+
+  /**
+   * Ask for a file, and read it. Nothing happens if none is picked
+   * @param {string} accept File types offered
+   * @returns {Promise<string>}
+   */
+  _pickFile (accept) {
+    return new Promise((resolve, reject) => {
+      const input = this.settings.window.document.createElement('input')
+      input.type = 'file'
+      input.accept = accept
+      input.addEventListener('change', () => {
+        if (input.files.length > 0) {
+          const file = input.files[0]
+          file.text().then(resolve, e => reject(new Error(`Cannot read ${file.name}: ${e.message}`)))
+        }
+      })
+      input.click()
+    })
+  }
+
+  /**
+   * @param {Game} game
+   */
+  _startGame (game) {
+    this.state.game = game
+    this.state.gameOverAt = null
+    this.state.highScoreRank = -1
+    this.goTo('game')
   }
 
   resize () {
     const w = this.settings.window.innerWidth
     const h = this.settings.window.innerHeight
     const ratio = this.settings.window.devicePixelRatio
-    this.settings.canvasElement.width = w * ratio
-    this.settings.canvasElement.height = h * ratio
-    this.settings.canvasElement.style.width = `${w}px`
-    this.settings.canvasElement.style.height = `${h}px`
+    for (const canvas of [this.settings.canvasElement, this.settings.worldCanvasElement]) {
+      if (canvas !== null) {
+        canvas.width = w * ratio
+        canvas.height = h * ratio
+        canvas.style.width = `${w}px`
+        canvas.style.height = `${h}px`
+      }
+    }
     this.renderer.resize()
   }
 
@@ -1771,56 +5820,99 @@ class Main {
    * @param {KeyboardEvent} e
    */
   keyDownHandler (e) {
-    if (e.code === 'Space') {
-      this.inputs.keySpace = true
-    } else if (e.code === 'KeyW') {
-      this.inputs.keyUp = true
-    } else if (e.code === 'KeyS') {
-      this.inputs.keyDown = true
-    } else if (e.code === 'KeyA') {
-      this.inputs.keyLeft = true
-    } else if (e.code === 'KeyD') {
-      this.inputs.keyRight = true
+    const screen = this.screens[this.state.screen]
+    if (screen.keyDownHandler(e)) {
+      e.preventDefault()
+      return
+    }
+    let bound = this.inputs.press(e, true)
+    for (const inputs of this.twoPlayersInputs) {
+      bound = inputs.press(e, true) || bound
+    }
+    const command = this._keyCommand(e)
+    if (command !== null && !e.repeat) {
+      screen.command(command)
+    }
+    if (bound || command !== null) {
+      e.preventDefault()
+    }
+  }
+
+  /**
+   * Command sent by a key: Escape and Enter, then the key bindings
+   * @param {KeyboardEvent} e
+   */
+  _keyCommand (e) {
+    if (e.code === 'Escape') {
+      return 'back'
+    } else if (e.code === 'Enter') {
+      return 'confirm'
     }
+    const commands = {
+      keyUp: 'up',
+      keyDown: 'down',
+      keyLeft: 'left',
+      keyRight: 'right',
+      keyJump: 'confirm',
+      keyReplay: 'replay',
+      keyPause: 'pause'
+    }
+    const actions = this.inputs.actionsOf(e)
+    return actions.length > 0 ? commands[actions[0]] : null
   }
 
   /**
    * @param {KeyboardEvent} e
    */
   keyUpHandler (e) {
-    if (e.code === 'Space') {
-      this.inputs.keySpace = false
-    } else if (e.code === 'KeyW') {
-      this.inputs.keyUp = false
-    } else if (e.code === 'KeyS') {
-      this.inputs.keyDown = false
-    } else if (e.code === 'KeyA') {
-      this.inputs.keyLeft = false
-    } else if (e.code === 'KeyD') {
-      this.inputs.keyRight = false
+    this.inputs.press(e, false)
+    for (const inputs of this.twoPlayersInputs) {
+      inputs.press(e, false)
     }
   }
 
   /**
+   * @param {MouseEvent} e
+   */
+  mouseHandler (e) {
+    const ratio = this.settings.window.devicePixelRatio
+    this.screens[this.state.screen].mouse(e.pageX * ratio, e.pageY * ratio, (e.buttons & 1) === 1)
+  }
+
+  /**
+   * In game, touches go to the joystick, elsewhere they tap the screen
    * @param {TouchEvent} e
    */
   touchStartHandler (e) {
-    if (!this.state.inGame) {
-      this.newGame()
+    e.preventDefault()
+    const ratio = this.settings.window.devicePixelRatio
+    if (this.state.screen !== 'game') {
+      const t = e.changedTouches[0]
+      this.screens[this.state.screen].tap(t.pageX * ratio, t.pageY * ratio)
+      return
     }
+    for (const t of e.changedTouches) {
+      if (this.screens.game.isPauseButton(t.pageX * ratio, t.pageY * ratio)) {
+        this.screens.game.command('back')
+        return
+      }
+    }
+    this.joystick.touchStartHandler(e)
   }
 
   /**
    * @param {TouchEvent} e
    */
   touchMoveHandler (e) {
-
+    e.preventDefault()
+    this.joystick.touchMoveHandler(e)
   }
 
   /**
    * @param {TouchEvent} e
    */
   touchEndHandler (e) {
-
+    e.preventDefault()
+    this.joystick.touchEndHandler(e)
   }
 }
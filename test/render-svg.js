@@ -0,0 +1,46 @@
+'use strict'
+
+/**
+ * Renders a game of a fixed seed with the SVG backend, in Node, and compares
+ * it with the snapshot next to this file
+ *
+ *     node test/render-svg.js            check
+ *     node test/render-svg.js --update   write the snapshot again
+ */
+
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const vm = require('vm')
+
+const snapshot = path.join(__dirname, 'render-svg.snapshot.svg')
+
+// Enough of a browser for the settings and the renderer, canvases draw nothing
+const canvas = () => ({ width: 800, height: 600, style: {}, getContext: () => null })
+const window = {
+  location: { search: '?seed=42' },
+  innerWidth: 800,
+  innerHeight: 600,
+  devicePixelRatio: 1
+}
+const context = vm.createContext({ window, URLSearchParams })
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'cube.js'), 'utf8') +
+  '\n;this.cube = { RendererSettings, Game, GameInputs, GameRenderer, GameSceneDrawer }', context)
+const { RendererSettings, Game, GameInputs, GameRenderer, GameSceneDrawer } = context.cube
+
+const settings = new RendererSettings(window, canvas(), canvas())
+const game = new Game(settings, new GameInputs())
+const renderer = new GameRenderer(settings, game, new GameSceneDrawer(settings))
+const svg = renderer.toSvg()
+
+assert.ok(svg.startsWith('<svg '), 'an SVG document')
+assert.ok((svg.match(/<path /g) || []).length > 100, 'tiles and the cube are drawn')
+assert.ok(svg.includes('<linearGradient '), 'sides fade with gradients')
+
+if (process.argv.includes('--update') || !fs.existsSync(snapshot)) {
+  fs.writeFileSync(snapshot, svg)
+  console.log(`Wrote ${path.relative(process.cwd(), snapshot)}`)
+} else {
+  assert.strictEqual(svg, fs.readFileSync(snapshot, 'utf8'), 'the view drawn matches the snapshot, run with --update if it changed on purpose')
+  console.log('SVG render matches the snapshot')
+}